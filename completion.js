@@ -0,0 +1,140 @@
+/**
+ * Completion providers are functions in the format:
+ *  function({ content:string, position:number, prefix:string }) -> array
+ * called with the source code, the position of the cursor and the word
+ * before it, and returning candidates either as strings or in the format:
+ *  { label:string, insertText:string, detail:string }
+ * where "label" is what is displayed and matched against the prefix, and
+ * "insertText" (default label) and "detail" are optional.
+ */
+
+/**
+ * @method keywordProvider Creates a provider of the words recognized by the
+ *                          rules of a highlighter, such as keywords, taken
+ *                          from the alternatives of each rule's RegEx that
+ *                          are plain words, e.g. "if" in /\bif\b|\bthen\b/.
+ * 
+ * @param {Highlighter} highlighter The highlighter.
+ * @returns {function} The provider.
+ */
+export function keywordProvider(highlighter) {
+    const words = new Map();
+    for (const type of highlighter.types) {
+        for (const alternative of type.regex.source.split('|')) {
+            const match = /^(?:\\b)?(\w+)(?:\\b)?$/.exec(alternative);
+            if (match !== null && !words.has(match[1])) {
+                words.set(match[1], type.className);
+            }
+        }
+    }
+    return () => Array.from(words, ([label, detail]) => ({ label, detail }));
+}
+
+/**
+ * @method identifierProvider Creates a provider of the identifiers already
+ *                              in the source code, except the one being
+ *                              typed.
+ * 
+ * @returns {function} The provider.
+ */
+export function identifierProvider() {
+    return context => {
+        const identifiers = new Set();
+        const regex = /[A-Za-z_]\w*/g;
+        let match = regex.exec(context.content);
+        while (match != null) {
+            const end = match.index + match[0].length;
+            if (context.position < match.index || context.position > end) {
+                identifiers.add(match[0]);
+            }
+            match = regex.exec(context.content);
+        }
+        return Array.from(identifiers);
+    };
+}
+
+/**
+ * @class CompletionPopup implements the display of completion candidates as
+ *                          a list. It only knows about its own element, and
+ *                          is told by the editor which candidates are
+ *                          displayed, which one is selected and where.
+ * @private to the library.
+ */
+export class CompletionPopup {
+    /**
+     * @constructor Creates a hidden popup.
+     * 
+     * @param {HTMLElement} element Element where candidates are displayed,
+     *                              one child element per candidate.
+     * @param {Document} dom Object representing a page's document. Optional if
+     *                          being used on the browser.
+     * @param {function} onPick Called with the index of a clicked candidate.
+     */
+    constructor(element, dom, onPick) {
+        this.element = element;
+        this.dom = dom || document;
+        this.items = [];
+        this.hide();
+
+        // Keeps the focus in the textarea.
+        this.element.addEventListener('mousedown', evt => {
+            evt.preventDefault();
+        });
+        this.element.addEventListener('click', evt => {
+            const index = this.items.findIndex(
+                item => item === evt.target || item.contains(evt.target)
+            );
+            if (index >= 0) {
+                onPick(index);
+            }
+        });
+    }
+
+    /**
+     * @method show Displays candidates.
+     * 
+     * @param {array} candidates Candidates in the format:
+     *                              { label:string, detail:string }
+     *                              where detail is optional.
+     * @param {number} selected Index of the selected candidate.
+     * @param {object} position Where the popup is placed, in pixels, in the
+     *                          format { top:number, left:number }.
+     */
+    show(candidates, selected, position) {
+        this.element.innerHTML = '';
+        this.items = candidates.map((candidate, i) => {
+            const item = this.dom.createElement('div');
+            item.className = (
+                i == selected
+                    ? 'completion-item selected-completion'
+                    : 'completion-item'
+            );
+            item.textContent = candidate.label;
+            if (candidate.detail !== undefined) {
+                const detail = this.dom.createElement('span');
+                detail.className = 'completion-detail';
+                detail.textContent = candidate.detail;
+                item.appendChild(detail);
+            }
+            this.element.appendChild(item);
+            return item;
+        });
+
+        this.element.style.top = position.top + 'px';
+        this.element.style.left = position.left + 'px';
+        this.element.style.display = '';
+        const item = this.items[selected];
+        if (item !== undefined && typeof item.scrollIntoView == 'function') {
+            item.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * @method hide Hides the popup, removing its candidates.
+     */
+    hide() {
+        this.element.innerHTML = '';
+        this.items = [];
+        this.element.style.display = 'none';
+    }
+}
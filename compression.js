@@ -0,0 +1,122 @@
+/**
+ * Compression of strings with the LZW algorithm, where the compressed string
+ * is still a valid string to store, e.g. in localStorage or as JSON: codes
+ * are written as single characters, never surrogates or control characters,
+ * and characters first seen are written literally after a marker code.
+ */
+
+/**
+ * Value added to codes when written as characters.
+ */
+const codeOffset = 32;
+
+/**
+ * Code written before a character first seen.
+ */
+const literalCode = 0;
+
+/**
+ * Number of codes written with a single character below the surrogates.
+ */
+const maxCodes = 0xD800 - codeOffset;
+
+/**
+ * @method compress Compresses a string.
+ * 
+ * @private to the library.
+ * 
+ * @param {string} text The string.
+ * @returns {string} The compressed string.
+ */
+export function compress(text) {
+    const dictionary = new Map();
+    // Characters in the dictionary not written yet, and so written
+    // literally the first time.
+    const literals = new Set();
+    let compressed = '';
+    let word = '';
+    const write = word => {
+        if (literals.has(word) || !dictionary.has(word)) {
+            literals.delete(word);
+            compressed += String.fromCharCode(literalCode + codeOffset);
+            compressed += word;
+        } else {
+            compressed += String.fromCharCode(
+                dictionary.get(word) + codeOffset
+            );
+        }
+    };
+    const define = entry => {
+        if (dictionary.size + literalCode + 1 < maxCodes) {
+            dictionary.set(entry, dictionary.size + literalCode + 1);
+            return true;
+        }
+        return false;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (!dictionary.has(char) && define(char)) {
+            literals.add(char);
+        }
+        const extended = word + char;
+        if (dictionary.has(extended)) {
+            word = extended;
+        } else {
+            if (word != '') {
+                write(word);
+                define(extended);
+            }
+            word = char;
+        }
+    }
+    if (word != '') {
+        write(word);
+    }
+    return compressed;
+}
+
+/**
+ * @method decompress Restores a string compressed by compress.
+ * 
+ * @private to the library.
+ * 
+ * @param {string} compressed The compressed string.
+ * @returns {string} The original string.
+ * @throws {SyntaxError} If the compressed string is not valid.
+ */
+export function decompress(compressed) {
+    const entries = [undefined];
+    let text = '';
+    let previous = '';
+    const define = entry => {
+        if (entries.length < maxCodes) {
+            entries.push(entry);
+        }
+    };
+
+    for (let i = 0; i < compressed.length; i++) {
+        const code = compressed.charCodeAt(i) - codeOffset;
+        let entry;
+        if (code == literalCode) {
+            i++;
+            if (i >= compressed.length) {
+                throw new SyntaxError('Missing literal character');
+            }
+            entry = compressed[i];
+            define(entry);
+        } else if (code > literalCode && code < entries.length) {
+            entry = entries[code];
+        } else if (code == entries.length && previous != '') {
+            entry = previous + previous[0];
+        } else {
+            throw new SyntaxError('Invalid code ' + code);
+        }
+        if (previous != '') {
+            define(previous + entry[0]);
+        }
+        text += entry;
+        previous = entry;
+    }
+    return text;
+}
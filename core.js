@@ -0,0 +1,1304 @@
+import { History } from './history.js';
+
+/**
+ * @class TextBuffer implements source code kept in memory, with the same
+ *                  value and selection fields as a textarea, such that it
+ *                  can be edited, and given to History, without a DOM.
+ */
+export class TextBuffer {
+    /**
+     * @constructor Creates a buffer with the cursor at the end of its text.
+     * 
+     * @param {string} text Optional, the source code. Default ''.
+     */
+    constructor(text) {
+        this.text = text || '';
+        this.start = this.text.length;
+        this.end = this.text.length;
+    }
+
+    /**
+     * @returns The source code.
+     */
+    get value() {
+        return this.text;
+    }
+
+    /**
+     * @param {string} text The new source code. The cursor is placed at its
+     *                      end, as in a textarea.
+     */
+    set value(text) {
+        this.text = text;
+        this.start = text.length;
+        this.end = text.length;
+    }
+
+    /**
+     * @returns The start of the selection.
+     */
+    get selectionStart() {
+        return this.start;
+    }
+
+    /**
+     * @param {number} position The new start of the selection, which moves
+     *                          the end if it is after it.
+     */
+    set selectionStart(position) {
+        this.start = this.clamp(position);
+        this.end = Math.max(this.start, this.end);
+    }
+
+    /**
+     * @returns The end of the selection.
+     */
+    get selectionEnd() {
+        return this.end;
+    }
+
+    /**
+     * @param {number} position The new end of the selection, which moves the
+     *                          start if it is before it.
+     */
+    set selectionEnd(position) {
+        this.end = this.clamp(position);
+        this.start = Math.min(this.start, this.end);
+    }
+
+    /**
+     * @method clamp Keeps a position inside the source code.
+     * 
+     * @private to this class
+     * 
+     * @param {number} position The position.
+     * @returns {number} The closest position in the source code.
+     */
+    clamp(position) {
+        return Math.max(0, Math.min(position, this.text.length));
+    }
+}
+
+/**
+ * @class EditorCore implements the editing logic of the editor independently
+ *                  of the DOM: the source code, its selections and history,
+ *                  and the commands editing them. By default it keeps the
+ *                  source code in a TextBuffer, such that it runs in Node or
+ *                  in a worker. The Editor is a view over it, keeping the
+ *                  source code in its textarea and refreshing the display
+ *                  whenever refreshContent is called.
+ */
+export class EditorCore {
+    /**
+     * @constructor Constructs the core from given customization.
+     * 
+     * @param {object} params Optional, an object in the following format:
+     *                        {
+     *                            // Where the source code and the primary
+     *                            // selection are kept, with the value,
+     *                            // selectionStart and selectionEnd fields
+     *                            // of a textarea. Optional, default a
+     *                            // TextBuffer.
+     *                            buffer: TextBuffer,
+     *                            // The source code of the default buffer.
+     *                            // Optional, default ''.
+     *                            content: string,
+     *                            // Editing settings of the language, as
+     *                            // described by the Editor's parameters.
+     *                            // Optional.
+     *                            language: object,
+     *                            // History limit. Optional, default 5000.
+     *                            historyLimit: number,
+     *                            // Idle time in milliseconds after which
+     *                            // typed text is no longer merged in a
+     *                            // single history entry. Zero disables
+     *                            // merging. Optional, default 1000.
+     *                            historyMergeTimeout: number,
+     *                            // Indentation level, either a number of
+     *                            // spaces or a string such as '\t'.
+     *                            // Optional, default 4.
+     *                            indentUnit: number | string.
+     *                        }
+     */
+    constructor(params) {
+        params = params || {};
+        this.buffer = params.buffer || new TextBuffer(params.content);
+        this.language = Object.assign(
+            {
+                pairs: [
+                    { open: '(', close: ')' },
+                    { open: '[', close: ']' },
+                    { open: '{', close: '}' },
+                    { open: '"', close: '"' },
+                ],
+            },
+            params.language
+        );
+        // Selections besides the buffer's own, in the format
+        // { start:number, end:number }.
+        this.extraSelections = [];
+        // Sorted positions of the closing characters inserted by autoPair,
+        // which can be typed over, and the source code they are valid in.
+        this.autoClosed = [];
+        this.autoClosedText = undefined;
+        this.indentUnit = (
+            typeof params.indentUnit == 'number'
+                ? ' '.repeat(params.indentUnit)
+                : params.indentUnit || '    '
+        );
+        this.historyLimit = params.historyLimit;
+        this.historyMergeTimeout = params.historyMergeTimeout;
+        this.history = new History(
+            this.historyLimit,
+            this.historyMergeTimeout
+        );
+    }
+
+    /**
+     * @param {string} content new content.
+     */
+    set content(value) {
+        this.buffer.value = value;
+        this.extraSelections = [];
+        this.refreshContent();
+    }
+
+    /**
+     * @returns The user input contents.
+     */
+    get content() {
+        return this.buffer.value;
+    }
+
+    /**
+     * @returns The start position of user input contents' selection.
+     */
+    get selectionStart() {
+        return this.buffer.selectionStart;
+    }
+
+    /**
+     * @returns The end position of user input contents' selection.
+     */
+    get selectionEnd() {
+        return this.buffer.selectionEnd;
+    }
+
+    /**
+     * @returns The user input contents' selection, in the format
+     *          { start:number, end:number }.
+     */
+    get selection() {
+        return { start: this.selectionStart, end: this.selectionEnd };
+    }
+
+    /**
+     * @returns Every selection, including the buffer's own, sorted by start,
+     *          in the format { start:number, end:number, primary:boolean },
+     *          where primary tells which selection is the buffer's.
+     */
+    get selections() {
+        const selections = this.extraSelections.map(selection => ({
+            start: selection.start,
+            end: selection.end,
+            primary: false,
+        }));
+        selections.push({
+            start: this.selectionStart,
+            end: this.selectionEnd,
+            primary: true,
+        });
+        return selections.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * @param {number} value The new selection start.
+     */
+    set selectionStart(value) {
+        this.changeSelection(value, this.selectionEnd);
+    }
+
+    /**
+     * @param {number} value The new selection end.
+     */
+    set selectionEnd(value) {
+        this.changeSelection(this.selectionStart, value);
+    }
+
+    /**
+     * @method changeSelection Sets selection start and end, then refreshes
+     *                          internal state.
+     * 
+     * @param {number} start The new selection start.
+     * @param {number} end The new selection end.
+     */
+    changeSelection(start, end) {
+        this.buffer.selectionStart = start;
+        this.buffer.selectionEnd = end;
+        this.refreshContent();
+    }
+
+    /**
+     * @method addSelection Adds a selection besides the existing ones, such
+     *                      that edits are applied to every selection.
+     * 
+     * @param {number} start The start of the new selection.
+     * @param {number} end The end of the new selection.
+     */
+    addSelection(start, end) {
+        this.extraSelections.push({ start, end });
+        this.refreshContent();
+    }
+
+    /**
+     * @method clearSelections Removes every selection but the buffer's own.
+     */
+    clearSelections() {
+        this.extraSelections = [];
+        this.refreshContent();
+    }
+
+    /**
+     * @method selectNextOccurrence Selects the word at the cursor if the
+     *                              selection is empty, otherwise adds a
+     *                              selection at the next occurrence of the
+     *                              selected text, wrapping around the end.
+     */
+    selectNextOccurrence() {
+        const start = this.selectionStart;
+        const end = this.selectionEnd;
+        const content = this.content;
+
+        if (start == end) {
+            let wordStart = start;
+            let wordEnd = end;
+            while (wordStart > 0 && /\w/.test(content[wordStart - 1])) {
+                wordStart--;
+            }
+            while (wordEnd < content.length && /\w/.test(content[wordEnd])) {
+                wordEnd++;
+            }
+            if (wordStart < wordEnd) {
+                this.changeSelection(wordStart, wordEnd);
+            }
+            return;
+        }
+
+        const needle = content.substring(start, end);
+        const isFree = index => {
+            const candidate = { start: index, end: index + needle.length };
+            return !this.selections.some(
+                selection => this.overlaps(selection, candidate)
+            );
+        };
+
+        let index = content.indexOf(needle, end);
+        while (index >= 0 && !isFree(index)) {
+            index = content.indexOf(needle, index + 1);
+        }
+        if (index < 0) {
+            index = content.indexOf(needle);
+            while (index >= 0 && index < start && !isFree(index)) {
+                index = content.indexOf(needle, index + 1);
+            }
+            if (index >= start) {
+                index = -1;
+            }
+        }
+
+        if (index >= 0) {
+            this.extraSelections.push({ start, end });
+            this.changeSelection(index, index + needle.length);
+        }
+    }
+
+    /**
+     * @method redo Redoes the current undone action, if any.
+     * 
+     * @returns {object} The action applied to the source code, in the format
+     *                   { start:number, oldText:string, newText:string },
+     *                   or undefined if nothing was redone.
+     */
+    redo() {
+        this.extraSelections = [];
+        const action = this.history.redo(this.buffer);
+        this.refreshContent(action);
+        this.handleHistoryChange();
+        return action;
+    }
+
+    /**
+     * @method undo Undoes the previous action in history, if any.
+     * 
+     * @returns {object} The action applied to the source code, in the format
+     *                   { start:number, oldText:string, newText:string },
+     *                   or undefined if nothing was undone.
+     */
+    undo() {
+        this.extraSelections = [];
+        const action = this.history.undo(this.buffer);
+        this.refreshContent(action);
+        this.handleHistoryChange();
+        return action;
+    }
+
+    /**
+     * @method switchBranch Replaces the last action done by another one done
+     *                      from the same source code, such as the actions
+     *                      undone before editing again, which are kept in
+     *                      their own branch of history. Redo then follows
+     *                      the branch switched to.
+     * 
+     * @param {number} offset How many branches forward, or backwards if
+     *                          negative, where branches are ordered from the
+     *                          oldest to the newest.
+     * @returns {boolean} Whether there was another branch.
+     */
+    switchBranch(offset) {
+        this.extraSelections = [];
+        const action = this.history.switchBranch(offset, this.buffer);
+        this.refreshContent(action);
+        this.handleHistoryChange();
+        return action !== undefined;
+    }
+
+    /**
+     * @method beginGroup Starts a group of edits, such that every edit until
+     *                      the matching endGroup call is undone and redone as
+     *                      a single step. Groups can be nested.
+     */
+    beginGroup() {
+        this.history.beginGroup(this.selection);
+    }
+
+    /**
+     * @method endGroup Ends the group of edits started by the last beginGroup
+     *                  call.
+     */
+    endGroup() {
+        this.history.endGroup(this.selection);
+        this.handleHistoryChange();
+    }
+
+    /**
+     * @private to the library
+     * 
+     * @method addToHistory adds an action to code history.
+     * 
+     * @param {object} action action in the source code in the format:
+     *                        { start:number, oldText:string, newText:string }
+     *                        optionally with selectionBefore and selectionAfter
+     *                        fields, in the format {start:number, end:number}.
+     * @param {boolean} typed whether the action was typed by the user, and so
+     *                        can be merged with the previous typed action.
+     */
+    addToHistory(action, typed) {
+        this.history.add(action, typed);
+        this.handleHistoryChange();
+    }
+
+    /**
+     * @private to the library
+     * 
+     * @method editAction adds an action to code history and applies it to
+     *                    the source code. The history change is handled
+     *                    only once the action is applied, such that history
+     *                    is never saved ahead of the source code.
+     * 
+     * @param {object} action action in the source code, in the format of
+     *                        addToHistory.
+     * @param {boolean} typed whether the action was typed by the user, as in
+     *                        addToHistory.
+     */
+    editAction(action, typed) {
+        this.history.add(action, typed);
+        this.apply(action);
+        this.handleHistoryChange();
+    }
+
+    /**
+     * @method apply applies an action to the source code.
+     * 
+     * @param {object} action action in the source code in the format:
+     *                        { start:number, oldText:string, newText:string }
+     */
+    apply(action) {
+        this.refreshContent(this.history.apply(action, this.buffer));
+    }
+
+    /**
+     * @method applyRev applies an action to the source code in reverse:
+     *                  oldText becomes newText and vice-versa.
+     * 
+     * @param {object} action action in the source code in the format:
+     *                        { start:number, oldText:string, newText:string }
+     */
+    applyRev(action) {
+        this.refreshContent(this.history.applyRev(action, this.buffer));
+    }
+
+    /**
+     * @method edit Edits currently selected text (even if empty). If there are
+     *              multiple selections, all of them are edited as a single
+     *              step in history.
+     * 
+     * @param {string} newText text replacing selected text.
+     * @param {boolean} typed Optional, whether the text was typed by the
+     *                        user, and so can be merged in history with the
+     *                        previous typed text, when there is a single
+     *                        selection.
+     */
+    edit(newText, typed) {
+        if (this.extraSelections.length > 0) {
+            this.editRanges(this.selections.map(selection => ({
+                start: selection.start,
+                end: selection.end,
+                newText,
+                primary: selection.primary,
+            })));
+            return;
+        }
+
+        const start = this.selectionStart;
+        const end = this.selectionEnd;
+        const oldText = this.content.substring(start, end);
+        const position = start + newText.length;
+        const action = {
+            start,
+            oldText,
+            newText,
+            selectionBefore: { start, end },
+            selectionAfter: { start: position, end: position },
+        };
+
+        this.editAction(action, typed);
+    }
+
+    /**
+     * @method type Inserts text as if typed by the user: a character of a
+     *              pair of the language is paired as done by autoPair, and
+     *              otherwise the text replaces every selection, merged in
+     *              history with the previous typed text.
+     * 
+     * @param {string} text The typed text, usually a single character.
+     */
+    type(text) {
+        if (text.length != 1 || !this.autoPair(text)) {
+            this.edit(text, true);
+        }
+    }
+
+    /**
+     * @private to the library
+     * 
+     * @method editRanges replaces multiple ranges of the source code at once,
+     *                    as a single step in history, collapsing each
+     *                    selection at the end of its replacement.
+     * 
+     * @param {array} ranges sorted, non-overlapping ranges in the format:
+     *                       { start:number, end:number, newText:string,
+     *                          primary:boolean, cursor:number,
+     *                          selectionLength:number }
+     *                       where primary tells which range the buffer's
+     *                       selection is placed after, the optional cursor
+     *                       is where the selection is placed relative to the
+     *                       start of newText, instead of its end, and the
+     *                       optional selectionLength is how many characters
+     *                       after the cursor are selected. Empty ranges
+     *                       replaced by nothing only place a selection.
+     */
+    editRanges(ranges) {
+        const oldContent = this.content;
+
+        this.beginGroup();
+        for (let i = ranges.length - 1; i >= 0; i--) {
+            const range = ranges[i];
+            if (range.start == range.end && range.newText == '') {
+                continue;
+            }
+            const action = {
+                start: range.start,
+                oldText: oldContent.substring(range.start, range.end),
+                newText: range.newText,
+            };
+            this.history.add(action);
+            this.history.apply(action, this.buffer);
+            this.mapPositions(action);
+        }
+
+        const extraSelections = [];
+        let primary = { start: 0, end: 0 };
+        let shift = 0;
+        for (const range of ranges) {
+            const position = range.start + shift + (
+                range.cursor === undefined
+                    ? range.newText.length
+                    : range.cursor
+            );
+            const selection = {
+                start: position,
+                end: position + (range.selectionLength || 0),
+            };
+            if (range.primary) {
+                primary = selection;
+            } else {
+                extraSelections.push(selection);
+            }
+            shift += range.newText.length - (range.end - range.start);
+        }
+        this.extraSelections = extraSelections;
+        this.buffer.selectionStart = primary.start;
+        this.buffer.selectionEnd = primary.end;
+        this.endGroup();
+
+        this.refreshContent(History.diff(oldContent, this.content));
+    }
+
+    /**
+     * @private to the library
+     * 
+     * @method autoPair handles a typed character that is part of a pair of
+     *                  the language: an opening character wraps selected
+     *                  text, or is inserted along with its closing character
+     *                  unless a word follows the cursor (or, for quotes,
+     *                  precedes it), and a closing character is typed over
+     *                  if it follows the cursor and was inserted this way.
+     * 
+     * @param {string} key the typed character.
+     * @returns {boolean} whether the character was handled, instead of being
+     *                    just inserted.
+     */
+    autoPair(key) {
+        const pair = this.language.pairs.find(
+            pair => pair.open == key || pair.close == key
+        );
+        if (pair === undefined) {
+            return false;
+        }
+
+        const content = this.content;
+        let isPlain = true;
+        let isOvertype = true;
+        const ranges = this.selections.map(selection => {
+            const range = {
+                start: selection.start,
+                end: selection.end,
+                newText: key,
+                primary: selection.primary,
+            };
+            const prev = content.charAt(selection.start - 1);
+            const next = content.charAt(selection.end);
+
+            if (selection.start != selection.end) {
+                if (key == pair.open) {
+                    const selected = content.substring(
+                        selection.start,
+                        selection.end
+                    );
+                    range.newText = pair.open + selected + pair.close;
+                    range.cursor = 1;
+                    range.selectionLength = selected.length;
+                    isPlain = false;
+                }
+            } else if (
+                key == pair.close
+                && next == key
+                && this.autoClosed.includes(selection.end)
+            ) {
+                range.end++;
+                isPlain = false;
+                return range;
+            } else if (
+                key == pair.open
+                && !/\w/.test(next)
+                && !(pair.open == pair.close && /\w/.test(prev))
+            ) {
+                range.newText = pair.open + pair.close;
+                range.cursor = 1;
+                range.isPaired = true;
+                isPlain = false;
+            }
+            isOvertype = false;
+            return range;
+        });
+
+        if (isPlain) {
+            return false;
+        }
+        if (isOvertype) {
+            this.autoClosed = this.autoClosed.filter(position => (
+                !ranges.some(range => range.start == position)
+            ));
+            this.moveCursors(1);
+            return true;
+        }
+
+        this.editRanges(ranges);
+        // Each selection is now right before the closing character of its
+        // range, if one was inserted.
+        const closed = this.selections
+            .filter((selection, i) => ranges[i].isPaired)
+            .map(selection => selection.start);
+        if (closed.length > 0) {
+            this.autoClosed = this.autoClosed
+                .concat(closed)
+                .sort((a, b) => a - b);
+            this.autoClosedText = this.content;
+        }
+        return true;
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method mapAutoClosed moves the closing characters inserted by autoPair
+     *                       according to an action, forgetting the ones it
+     *                       changes. Every one is forgotten if the action
+     *                       does not explain the change.
+     * 
+     * @param {object} action Optional, action in the source code in the
+     *                        format:
+     *                        { start:number, oldText:string, newText:string }
+     */
+    mapAutoClosed(action) {
+        const oldContent = this.autoClosedText;
+        const content = this.content;
+        if (this.autoClosed.length == 0 || oldContent == content) {
+            return;
+        }
+        this.autoClosedText = content;
+
+        if (!History.explains(action, oldContent, content)) {
+            this.autoClosed = [];
+            return;
+        }
+
+        const oldEnd = action.start + action.oldText.length;
+        const delta = action.newText.length - action.oldText.length;
+        this.autoClosed = this.autoClosed
+            .filter(position => position < action.start || position >= oldEnd)
+            .map(position => (
+                position >= oldEnd ? position + delta : position
+            ));
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method lineBreak computes the replacement of a selection when the user
+     *                   breaks a line: the indentation of the current line is
+     *                   copied, one level is added after an opening bracket,
+     *                   and a bracket pair is split onto three lines.
+     * 
+     * @param {object} selection the selection in the format {start, end}.
+     * @returns {object} a range in the format accepted by editRanges.
+     */
+    lineBreak(selection) {
+        const content = this.content;
+        const start = selection.start;
+        const end = selection.end;
+        const lineStart = this.lineStartOf(start);
+        const beforeCursor = content.substring(lineStart, start);
+        const indent = beforeCursor.match(/^[ \t]*/)[0];
+        const lastChar = beforeCursor.trimEnd().slice(-1);
+        const pairs = { '{': '}', '[': ']', '(': ')' };
+        const range = { start, end, newText: '\n' + indent };
+
+        if (lastChar in pairs) {
+            range.newText += this.indentUnit;
+            if (
+                content[start - 1] == lastChar
+                && content[end] == pairs[lastChar]
+            ) {
+                range.cursor = range.newText.length;
+                range.newText += '\n' + indent;
+            }
+        }
+
+        return range;
+    }
+
+    /**
+     * @private to the library
+     * 
+     * @method lineStartOf finds where the line containing a position starts.
+     * 
+     * @param {number} position a position in the source code.
+     * @returns {number} the position of the line's first character.
+     */
+    lineStartOf(position) {
+        return (
+            position > 0
+                ? this.content.lastIndexOf('\n', position - 1) + 1
+                : 0
+        );
+    }
+
+    /**
+     * @method indentLines Indents or outdents by one level every line touched
+     *                     by a selection, as a single step in history, and
+     *                     adjusts selections to the moved text.
+     * 
+     * @param {boolean} outdent whether indentation is removed instead of
+     *                          added.
+     */
+    indentLines(outdent) {
+        const content = this.content;
+        const selections = this.selections;
+        const tabWidth = this.indentUnit == '\t' ? 4 : this.indentUnit.length;
+
+        const actions = [];
+        for (const lineStart of this.selectedLineStarts(selections)) {
+            if (!outdent) {
+                actions.push({
+                    start: lineStart,
+                    oldText: '',
+                    newText: this.indentUnit,
+                });
+                continue;
+            }
+            let length = 0;
+            if (content.startsWith(this.indentUnit, lineStart)) {
+                length = this.indentUnit.length;
+            } else if (content[lineStart] == '\t') {
+                length = 1;
+            } else {
+                while (
+                    length < tabWidth
+                    && content[lineStart + length] == ' '
+                ) {
+                    length++;
+                }
+            }
+            if (length > 0) {
+                actions.push({
+                    start: lineStart,
+                    oldText: content.substring(lineStart, lineStart + length),
+                    newText: '',
+                });
+            }
+        }
+
+        this.editLines(actions, selections);
+    }
+
+    /**
+     * @method toggleLineComment Comments every line touched by a selection
+     *                           with the line comment token of the language,
+     *                           aligned with the least indented line, or
+     *                           uncomments them if all of them are commented.
+     *                           Blank lines are left untouched. It is a single
+     *                           step in history.
+     * 
+     * @returns {boolean} false if the language has no line comment token,
+     *                    true otherwise.
+     */
+    toggleLineComment() {
+        const token = this.language.lineComment;
+        if (token === undefined) {
+            return false;
+        }
+
+        const content = this.content;
+        const selections = this.selections;
+        const lines = [];
+        for (const lineStart of this.selectedLineStarts(selections)) {
+            let lineEnd = content.indexOf('\n', lineStart);
+            if (lineEnd < 0) {
+                lineEnd = content.length;
+            }
+            const line = content.substring(lineStart, lineEnd);
+            const indent = line.match(/^[ \t]*/)[0].length;
+            if (indent < line.length) {
+                lines.push({ start: lineStart, indent });
+            }
+        }
+
+        const isCommented = lines.every(line => (
+            content.startsWith(token, line.start + line.indent)
+        ));
+        let actions;
+        if (isCommented) {
+            actions = lines.map(line => {
+                const start = line.start + line.indent;
+                let end = start + token.length;
+                if (content[end] == ' ') {
+                    end++;
+                }
+                return {
+                    start,
+                    oldText: content.substring(start, end),
+                    newText: '',
+                };
+            });
+        } else {
+            const indent = Math.min(...lines.map(line => line.indent));
+            actions = lines.map(line => ({
+                start: line.start + indent,
+                oldText: '',
+                newText: token + ' ',
+            }));
+        }
+
+        this.editLines(actions, selections);
+        return true;
+    }
+
+    /**
+     * @method toggleBlockComment Surrounds every selection with the block
+     *                            comment tokens of the language, or removes
+     *                            them if the selection is already surrounded,
+     *                            either inside or right outside of it. It is
+     *                            a single step in history.
+     * 
+     * @returns {boolean} false if the language has no block comment tokens,
+     *                    true otherwise.
+     */
+    toggleBlockComment() {
+        const comment = this.language.blockComment;
+        if (comment === undefined) {
+            return false;
+        }
+
+        const open = comment.open;
+        const close = comment.close;
+        const content = this.content;
+        const ranges = this.selections.map(selection => {
+            const selected = content.substring(selection.start, selection.end);
+            const range = {
+                start: selection.start,
+                end: selection.end,
+                newText: selected,
+                primary: selection.primary,
+                cursor: 0,
+                selectionLength: selected.length,
+            };
+
+            if (
+                selected.length >= open.length + close.length
+                && selected.startsWith(open)
+                && selected.endsWith(close)
+            ) {
+                let inner = selected.substring(
+                    open.length,
+                    selected.length - close.length
+                );
+                inner = inner.replace(/^ /, '');
+                inner = inner.replace(/ $/, '');
+                range.newText = inner;
+                range.selectionLength = inner.length;
+                return range;
+            }
+
+            let start = selection.start;
+            let end = selection.end;
+            if (
+                content[start - 1] == ' '
+                && content.substring(start - 1 - open.length, start - 1)
+                    == open
+            ) {
+                start--;
+            }
+            if (content[end] == ' ' && content.startsWith(close, end + 1)) {
+                end++;
+            }
+            if (
+                content.substring(start - open.length, start) == open
+                && content.startsWith(close, end)
+            ) {
+                range.start = start - open.length;
+                range.end = end + close.length;
+                return range;
+            }
+
+            range.newText = open + ' ' + selected + ' ' + close;
+            range.cursor = open.length + 1;
+            return range;
+        });
+
+        this.editRanges(ranges);
+        return true;
+    }
+
+    /**
+     * @method indent Indents every line touched by a selection if some
+     *                selection spans multiple lines, otherwise replaces every
+     *                selection by one level of indentation.
+     */
+    indent() {
+        const content = this.content;
+        const isMultiLine = this.selections.some(selection => (
+            content.substring(selection.start, selection.end).includes('\n')
+        ));
+        if (isMultiLine) {
+            this.indentLines(false);
+        } else {
+            this.edit(this.indentUnit);
+        }
+    }
+
+    /**
+     * @method newLine Breaks the line at every selection, keeping the
+     *                 indentation of the line as done by lineBreak.
+     */
+    newLine() {
+        this.editRanges(this.selections.map(selection => Object.assign(
+            this.lineBreak(selection),
+            { primary: selection.primary }
+        )));
+    }
+
+    /**
+     * @method deleteBackward Deletes the text of every selection, or the
+     *                        character before each empty one. A cursor alone
+     *                        between the characters of a pair deletes both,
+     *                        as a single step in history.
+     */
+    deleteBackward() {
+        if (this.extraSelections.length > 0 || !this.isBetweenPair()) {
+            this.deleteSelections(-1);
+            return;
+        }
+        this.beginGroup();
+        this.selectionStart--;
+        this.selectionEnd++;
+        this.edit('');
+        this.endGroup();
+    }
+
+    /**
+     * @method deleteForward Deletes the text of every selection, or the
+     *                       character after each empty one.
+     */
+    deleteForward() {
+        this.deleteSelections(1);
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method selectedLineStarts finds the lines touched by selections. A
+     *                            selection ending right after a line break
+     *                            does not touch the next line.
+     * 
+     * @param {array} selections selections in the format {start, end}.
+     * @returns {array} the sorted positions where the lines start.
+     */
+    selectedLineStarts(selections) {
+        const content = this.content;
+        const lineStarts = new Set();
+
+        for (const selection of selections) {
+            const last = (
+                selection.end > selection.start
+                && content[selection.end - 1] == '\n'
+                    ? selection.end - 1
+                    : selection.end
+            );
+            let lineStart = this.lineStartOf(selection.start);
+            for (;;) {
+                lineStarts.add(lineStart);
+                const lineEnd = content.indexOf('\n', lineStart);
+                if (lineEnd < 0 || lineEnd >= last) {
+                    break;
+                }
+                lineStart = lineEnd + 1;
+            }
+        }
+
+        return Array.from(lineStarts).sort((a, b) => a - b);
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method editLines applies actions made to lines, such as indenting
+     *                   them, as a single step in history, and adjusts
+     *                   selections to the moved text.
+     * 
+     * @param {array} actions sorted, non-overlapping actions in the format:
+     *                        { start:number, oldText:string, newText:string }
+     * @param {array} selections the selections before the actions, in the
+     *                           format of the selections getter.
+     */
+    editLines(actions, selections) {
+        if (actions.length == 0) {
+            return;
+        }
+        const content = this.content;
+
+        // The start of a non-empty selection stays before inserted text, so
+        // whole selected lines remain selected.
+        const map = (position, sticky) => {
+            let shift = 0;
+            for (const action of actions) {
+                const oldEnd = action.start + action.oldText.length;
+                if (position > oldEnd || (position == oldEnd && !sticky)) {
+                    shift += action.newText.length - action.oldText.length;
+                } else if (position > action.start) {
+                    shift -= position - action.start;
+                }
+            }
+            return position + shift;
+        };
+
+        this.beginGroup();
+        for (let i = actions.length - 1; i >= 0; i--) {
+            this.history.add(actions[i]);
+            this.history.apply(actions[i], this.buffer);
+            this.mapPositions(actions[i]);
+        }
+        this.extraSelections = [];
+        for (const selection of selections) {
+            const sticky = selection.end > selection.start;
+            const start = map(selection.start, sticky);
+            const end = map(selection.end, false);
+            if (selection.primary) {
+                this.buffer.selectionStart = start;
+                this.buffer.selectionEnd = end;
+            } else {
+                this.extraSelections.push({ start, end });
+            }
+        }
+        this.endGroup();
+
+        this.refreshContent(History.diff(content, this.content));
+    }
+
+    /**
+     * @private to the library
+     * 
+     * @method deleteSelections deletes the text of every selection, or the
+     *                          character before or after each empty one.
+     *                          Nothing is recorded in history if there is
+     *                          nothing to delete, e.g. at the start of the
+     *                          text when deleting backwards.
+     * 
+     * @param {number} direction -1 for deleting backwards, 1 for forwards.
+     */
+    deleteSelections(direction) {
+        const length = this.content.length;
+        const ranges = [];
+        for (const selection of this.selections) {
+            const range = {
+                start: selection.start,
+                end: selection.end,
+                newText: '',
+                primary: selection.primary,
+            };
+            if (range.start == range.end) {
+                if (direction < 0) {
+                    range.start = Math.max(0, range.start - 1);
+                } else {
+                    range.end = Math.min(length, range.end + 1);
+                }
+            }
+
+            const last = ranges[ranges.length - 1];
+            if (last !== undefined && last.end >= range.start) {
+                last.end = Math.max(last.end, range.end);
+                last.primary = last.primary || range.primary;
+            } else {
+                ranges.push(range);
+            }
+        }
+        if (ranges.every(range => range.start == range.end)) {
+            return;
+        }
+        this.editRanges(ranges);
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method moveCursors collapses every selection and moves it by the given
+     *                     offset.
+     * 
+     * @param {number} offset number of characters to move, negative for
+     *                        moving backwards.
+     */
+    moveCursors(offset) {
+        this.extraSelections = this.extraSelections.map(selection => ({
+            start: selection.start + offset,
+            end: selection.start + offset,
+        }));
+        const position = this.selectionStart + offset;
+        this.changeSelection(position, position);
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method overlaps tests whether two selections overlap, or are equal.
+     * 
+     * @param {object} first a selection in the format {start, end}.
+     * @param {object} second another selection in the same format.
+     * @returns {boolean} whether they overlap.
+     */
+    overlaps(first, second) {
+        return (
+            (first.start == second.start && first.end == second.end)
+            || (first.start < second.end && second.start < first.end)
+        );
+    }
+
+    /**
+     * @private to the library
+     * 
+     * @method normalizeSelections sorts extra selections, keeps them inside
+     *                             the source code, and merges the ones
+     *                             overlapping each other, dropping the ones
+     *                             overlapping the buffer's selection.
+     */
+    normalizeSelections() {
+        const length = this.content.length;
+        const primary = this.selection;
+        const sorted = this.extraSelections
+            .map(selection => ({
+                start: Math.min(selection.start, length),
+                end: Math.min(selection.end, length),
+            }))
+            .sort((a, b) => a.start - b.start);
+
+        const normalized = [];
+        for (const selection of sorted) {
+            const last = normalized[normalized.length - 1];
+            if (this.overlaps(selection, primary)) {
+                continue;
+            }
+            if (last !== undefined && this.overlaps(last, selection)) {
+                last.end = Math.max(last.end, selection.end);
+            } else {
+                normalized.push(selection);
+            }
+        }
+        this.extraSelections = normalized;
+    }
+
+    /**
+     * @private to the library
+     * 
+     * @method mapSelections moves extra selections according to an action
+     *                       applied to the source code.
+     * 
+     * @param {object} action action in the source code in the format:
+     *                        { start:number, oldText:string, newText:string }
+     */
+    mapSelections(action) {
+        const oldEnd = action.start + action.oldText.length;
+        const delta = action.newText.length - action.oldText.length;
+        const map = position => {
+            if (position <= action.start) {
+                return position;
+            }
+            if (position >= oldEnd) {
+                return position + delta;
+            }
+            return action.start + action.newText.length;
+        };
+        this.extraSelections = this.extraSelections.map(selection => ({
+            start: map(selection.start),
+            end: map(selection.end),
+        }));
+    }
+
+    /**
+     * @private to the library
+     * 
+     * @method refreshContent refreshes state affected by any change to the
+     *                        source code or selections. Views, such as the
+     *                        Editor, override it to refresh their display,
+     *                        and must also call mapPositions.
+     * 
+     * @param {object} action Optional, the action that caused the change, in
+     *                        the format:
+     *                        { start:number, oldText:string, newText:string }
+     */
+    refreshContent(action) {
+        this.mapPositions(action);
+        this.normalizeSelections();
+    }
+
+    /**
+     * @private to the library
+     * 
+     * @method mapPositions moves state kept by position in the source code
+     *                      according to each action of a multiple edit, as
+     *                      it is applied, and then to the whole change when
+     *                      content is refreshed. The core keeps the closing
+     *                      characters inserted by autoPair; selections are
+     *                      set after the edit.
+     * 
+     * @param {object} action Optional, action in the source code in the
+     *                        format:
+     *                        { start:number, oldText:string, newText:string }
+     */
+    mapPositions(action) {
+        this.mapAutoClosed(action);
+    }
+
+    /**
+     * @private to the library
+     * 
+     * @method handleHistoryChange is called after history changes, such that
+     *                             views can save it.
+     */
+    handleHistoryChange() {
+    }
+
+    /**
+     * @returns whether the cursor is between '{}'.
+     */
+    isBetweenCurlies() {
+        const start = this.selectionStart;
+        return (
+            start > 0
+            && this.content[start - 1] == '{'
+            && this.content[start] == '}'
+        );
+    }
+
+    /**
+     * @returns whether the cursor is between '[]'.
+     */
+    isBetweenSquares() {
+        const start = this.selectionStart;
+        return (
+            start > 0
+            && this.content[start - 1] == '['
+            && this.content[start] == ']'
+        );
+    }
+
+    /**
+     * @returns whether the cursor is between '()'.
+     */
+    isBetweenParens() {
+        const start = this.selectionStart;
+        return (
+            start > 0
+            && this.content[start - 1] == '('
+            && this.content[start] == ')'
+        );
+    }
+
+    /**
+     * @private to the library
+     * 
+     * @method isBetweenPair tests whether the cursor, with nothing selected,
+     *                       is between the characters of a pair of the
+     *                       language.
+     * 
+     * @returns {boolean} whether it is between a pair.
+     */
+    isBetweenPair() {
+        const start = this.selectionStart;
+        const content = this.content;
+        return this.language.pairs.some(pair => (
+            start > 0
+            && start == this.selectionEnd
+            && content[start - 1] == pair.open
+            && content[start] == pair.close
+        ));
+    }
+}
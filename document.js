@@ -0,0 +1,50 @@
+/**
+ * @class DocumentError is used to differentiate JS errors from errors
+ *                      occuring because of an unknown document.
+ * @private to the library.
+ */
+export class DocumentError extends Error {
+    /**
+     * Constructs a document error simply using a message as data.
+     * 
+     * @param {string} msg Error message
+     */
+    constructor(msg) {
+        super(msg);
+    }
+}
+
+/**
+ * @class EditorDocument implements the state of a source file open in the
+ *                          editor, which the editor keeps while the document
+ *                          is not displayed, and restores when switching back
+ *                          to it.
+ * @private to the library.
+ */
+export class EditorDocument {
+    /**
+     * @constructor Creates a document with the cursor at the start.
+     * 
+     * @param {string} id Identifies the document, also in storage.
+     * @param {string} content The source code.
+     * @param {History} history The history of the source code.
+     */
+    constructor(id, content, history) {
+        this.id = id;
+        this.content = content;
+        this.history = history;
+        this.selection = { start: 0, end: 0 };
+        // Selections besides the main one, in the format
+        // { start:number, end:number }.
+        this.extraSelections = [];
+        this.scroll = { top: 0, left: 0 };
+        // Folded regions in the format used by FoldedBuffer.
+        this.folds = [];
+        // Diagnostics in the format used by the editor, and the text their
+        // positions are relative to.
+        this.diagnosticMarkers = [];
+        this.diagnosticsText = content;
+        // Parts of the document changed since they were last saved.
+        this.unsaved = { code: false, history: false };
+    }
+}
@@ -0,0 +1,318 @@
+import { History } from './history.js';
+
+/**
+ * Text displayed in place of a folded region.
+ */
+const placeholder = '…';
+
+/**
+ * @class FoldedBuffer implements the source code with folded regions, whose
+ *                      text is replaced by a placeholder in the textarea. It
+ *                      has the same value and selection fields as the
+ *                      textarea, but with the whole source code and its
+ *                      positions, such that it can be given to History in
+ *                      place of the textarea.
+ * @private to the library.
+ */
+export class FoldedBuffer {
+    /**
+     * @constructor Creates a buffer without folded regions.
+     * 
+     * @param {HTMLTextAreaElement} textArea Element where the user writes
+     *                                          code into.
+     */
+    constructor(textArea) {
+        this.textArea = textArea;
+        // Folded regions sorted by start, in the format
+        // { start:number, text:string }, where text is the hidden text.
+        this.folds = [];
+        // The whole source code, and the text last written to or read from
+        // the textarea.
+        this.text = textArea.value;
+        this.visible = textArea.value;
+    }
+
+    /**
+     * @returns The whole source code.
+     */
+    get value() {
+        this.sync();
+        return this.text;
+    }
+
+    /**
+     * @param {string} text The new source code. Regions whose text changed
+     *                      are unfolded.
+     */
+    set value(text) {
+        this.sync();
+        if (this.folds.length > 0) {
+            this.mapFolds(History.diff(this.text, text));
+        }
+        this.text = text;
+        this.render();
+    }
+
+    /**
+     * @returns The start of the selection in the source code.
+     */
+    get selectionStart() {
+        this.sync();
+        return this.toFull(this.textArea.selectionStart);
+    }
+
+    /**
+     * @param {number} position The new start of the selection.
+     */
+    set selectionStart(position) {
+        this.sync();
+        this.textArea.selectionStart = this.toVisible(position, false);
+    }
+
+    /**
+     * @returns The end of the selection in the source code.
+     */
+    get selectionEnd() {
+        this.sync();
+        return this.toFull(this.textArea.selectionEnd);
+    }
+
+    /**
+     * @param {number} position The new end of the selection.
+     */
+    set selectionEnd(position) {
+        this.sync();
+        this.textArea.selectionEnd = this.toVisible(position, true);
+    }
+
+    /**
+     * @returns The folded regions sorted by start, in the format
+     *          { start:number, end:number }.
+     */
+    get regions() {
+        return this.folds.map(fold => ({
+            start: fold.start,
+            end: fold.start + fold.text.length,
+        }));
+    }
+
+    /**
+     * @method fold Hides a region of the source code, along with the folded
+     *              regions inside it. The selection is kept, except that its
+     *              bounds inside the region are moved to the region's start.
+     * 
+     * @param {number} start Start of the region.
+     * @param {number} end End of the region, after its start.
+     */
+    fold(start, end) {
+        this.sync();
+        const clamp = position => (
+            position > start && position < end ? start : position
+        );
+        const selectionStart = clamp(this.selectionStart);
+        const selectionEnd = clamp(this.selectionEnd);
+
+        this.folds = this.folds.filter(fold => (
+            fold.start + fold.text.length <= start || fold.start >= end
+        ));
+        this.folds.push({ start, text: this.text.substring(start, end) });
+        this.folds.sort((a, b) => a.start - b.start);
+
+        this.render();
+        this.selectionStart = selectionStart;
+        this.selectionEnd = selectionEnd;
+    }
+
+    /**
+     * @method unfold Shows again the folded regions intersecting a range,
+     *                  keeping the selection.
+     * 
+     * @param {number} start Start of the range.
+     * @param {number} end End of the range. A region starting or ending at
+     *                      the range's bounds intersects it.
+     * @returns {boolean} Whether some region was unfolded.
+     */
+    unfold(start, end) {
+        this.sync();
+        const selectionStart = this.selectionStart;
+        const selectionEnd = this.selectionEnd;
+
+        const folds = this.folds.filter(fold => (
+            fold.start + fold.text.length < start || fold.start > end
+        ));
+        if (folds.length == this.folds.length) {
+            return false;
+        }
+        this.folds = folds;
+
+        this.render();
+        this.selectionStart = selectionStart;
+        this.selectionEnd = selectionEnd;
+        return true;
+    }
+
+    /**
+     * @method replace Replaces the whole source code and its folded regions
+     *                  at once, e.g. when switching between documents. The
+     *                  selection is not kept.
+     * 
+     * @param {string} text The new source code.
+     * @param {array} folds The folded regions of the new source code, in the
+     *                      format of the folds field.
+     */
+    replace(text, folds) {
+        this.text = text;
+        this.folds = folds.slice();
+        this.render();
+    }
+
+    /**
+     * @method reveal Unfolds the regions hiding the given positions.
+     * 
+     * @param {number} start A position in the source code.
+     * @param {number} end Another position in the source code.
+     */
+    reveal(start, end) {
+        const isHidden = position => this.folds.some(fold => (
+            position > fold.start && position < fold.start + fold.text.length
+        ));
+        if (isHidden(start)) {
+            this.unfold(start, start);
+        }
+        if (isHidden(end)) {
+            this.unfold(end, end);
+        }
+    }
+
+    /**
+     * @method toVisible Translates a position in the source code to the
+     *                      textarea.
+     * 
+     * @param {number} position The position in the source code.
+     * @param {boolean} isEnd Whether a position hidden by a folded region is
+     *                          translated to after its placeholder, instead
+     *                          of before.
+     * @returns {number} The position in the textarea.
+     */
+    toVisible(position, isEnd) {
+        let shift = 0;
+        for (const fold of this.folds) {
+            if (position <= fold.start) {
+                break;
+            }
+            if (position < fold.start + fold.text.length) {
+                return fold.start - shift + (isEnd ? placeholder.length : 0);
+            }
+            shift += fold.text.length - placeholder.length;
+        }
+        return position - shift;
+    }
+
+    /**
+     * @method toFull Translates a position in the textarea to the source
+     *                  code.
+     * 
+     * @param {number} position The position in the textarea.
+     * @returns {number} The position in the source code.
+     */
+    toFull(position) {
+        let shift = 0;
+        for (const fold of this.folds) {
+            if (position <= fold.start - shift) {
+                break;
+            }
+            shift += fold.text.length - placeholder.length;
+        }
+        return position + shift;
+    }
+
+    /**
+     * @method sync Brings the source code up to date with text typed by the
+     *              user in the textarea.
+     * 
+     * @private to this class
+     */
+    sync() {
+        const current = this.textArea.value;
+        if (current === this.visible) {
+            return;
+        }
+        if (this.folds.length == 0) {
+            this.text = current;
+            this.visible = current;
+            return;
+        }
+
+        // The cursor is after the typed text, which tells where the edit is
+        // when it touches a placeholder, e.g. when "…" is typed before one.
+        const typed = Math.max(0, current.length - this.visible.length);
+        const visibleAction = History.diff(
+            this.visible,
+            current,
+            Math.max(0, this.textArea.selectionStart - typed)
+        );
+        const start = this.toFull(visibleAction.start);
+        const end = this.toFull(
+            visibleAction.start + visibleAction.oldText.length
+        );
+        const action = {
+            start,
+            oldText: this.text.substring(start, end),
+            newText: visibleAction.newText,
+        };
+        this.mapFolds(action);
+        this.text = (
+            this.text.substring(0, start)
+            + action.newText
+            + this.text.substring(end)
+        );
+        this.visible = current;
+    }
+
+    /**
+     * @method mapFolds Moves folded regions according to an action applied
+     *                  to the source code, unfolding the ones whose text it
+     *                  changed.
+     * 
+     * @private to this class
+     * 
+     * @param {object} action Action in the source code in the format:
+     *                        { start:number, oldText:string, newText:string }
+     */
+    mapFolds(action) {
+        const oldEnd = action.start + action.oldText.length;
+        const delta = action.newText.length - action.oldText.length;
+        this.folds = this.folds
+            .filter(fold => {
+                const end = fold.start + fold.text.length;
+                return !(
+                    (action.start < end && oldEnd > fold.start)
+                    || (action.start > fold.start && action.start < end)
+                );
+            })
+            .map(fold => (
+                fold.start >= oldEnd
+                    ? { start: fold.start + delta, text: fold.text }
+                    : fold
+            ));
+    }
+
+    /**
+     * @method render Writes the source code with folded regions replaced by
+     *                  placeholders to the textarea.
+     * 
+     * @private to this class
+     */
+    render() {
+        let visible = '';
+        let position = 0;
+        for (const fold of this.folds) {
+            visible += this.text.substring(position, fold.start) + placeholder;
+            position = fold.start + fold.text.length;
+        }
+        visible += this.text.substring(position);
+
+        this.textArea.value = visible;
+        this.visible = visible;
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * @class Gutter implements the display of line numbers next to the source
+ *                  code. It only knows about its own element, and is told by
+ *                  the editor which lines are displayed, which one is active
+ *                  and where regions can be folded or unfolded.
+ * @private to the library.
+ */
+export class Gutter {
+    /**
+     * @constructor Creates a gutter displaying line numbers in an element.
+     * 
+     * @param {HTMLElement} element Element where line numbers are displayed,
+     *                              one child element per line.
+     * @param {Document} dom Object representing a page's document. Optional if
+     *                          being used on the browser.
+     * @param {function} onMarkerClick Optional, called with the index of the
+     *                                  displayed line whose fold marker was
+     *                                  clicked.
+     */
+    constructor(element, dom, onMarkerClick) {
+        this.element = element;
+        this.dom = dom || document;
+        this.lines = [];
+        // Fold marker of every displayed line, if any.
+        this.markers = [];
+        // Index of the displayed line where the cursor is.
+        this.activeLine = undefined;
+
+        this.element.innerHTML = '';
+        this.element.addEventListener('click', evt => {
+            const index = this.lines.indexOf(evt.target);
+            if (
+                index >= 0
+                && this.markers[index] !== undefined
+                && onMarkerClick !== undefined
+            ) {
+                onMarkerClick(index);
+            }
+        });
+    }
+
+    /**
+     * @method update Updates the displayed line numbers, only creating or
+     *                  removing the elements of added or removed lines, and
+     *                  only changing the elements whose line changed.
+     * 
+     * @param {array} lines The displayed lines, in the format:
+     *                      { number:number, marker:string }
+     *                      where number starts from 1, and the optional
+     *                      marker is either 'foldable' or 'folded'.
+     * @param {number} activeLine Index of the displayed line where the cursor
+     *                              is, starting from 0.
+     */
+    update(lines, activeLine) {
+        while (this.lines.length < lines.length) {
+            const line = this.dom.createElement('div');
+            this.element.appendChild(line);
+            this.lines.push(line);
+        }
+        while (this.lines.length > lines.length) {
+            this.element.removeChild(this.lines.pop());
+        }
+
+        this.markers = lines.map(line => line.marker);
+        this.activeLine = activeLine;
+        for (let i = 0; i < lines.length; i++) {
+            const element = this.lines[i];
+            const text = String(lines[i].number);
+            const className = this.classNameOf(i);
+
+            if (element.textContent != text) {
+                element.textContent = text;
+            }
+            if (element.getAttribute('class') != className) {
+                element.setAttribute('class', className);
+            }
+        }
+    }
+
+    /**
+     * @method activate Moves the highlight of the active line, when the
+     *                  displayed lines did not change, only touching the
+     *                  elements of the previous and new active lines.
+     * 
+     * @param {number} activeLine Index of the displayed line where the cursor
+     *                              is, starting from 0.
+     */
+    activate(activeLine) {
+        const previous = this.activeLine;
+        this.activeLine = activeLine;
+        for (const i of [previous, activeLine]) {
+            if (i !== undefined && i < this.lines.length) {
+                this.lines[i].setAttribute('class', this.classNameOf(i));
+            }
+        }
+    }
+
+    /**
+     * @method classNameOf Computes the classes of a displayed line.
+     * 
+     * @private to this class
+     * 
+     * @param {number} index Index of the displayed line.
+     * @returns {string} The classes, separated by spaces.
+     */
+    classNameOf(index) {
+        let className = 'line-number';
+        if (index == this.activeLine) {
+            className += ' active-line';
+        }
+        if (this.markers[index] !== undefined) {
+            className += ' ' + this.markers[index];
+        }
+        return className;
+    }
+
+    /**
+     * @method syncScroll Synchronizes the gutter's scroll with the input's
+     *                      scroll.
+     * 
+     * @param {number} scrollTop Vertical scroll of the input.
+     */
+    syncScroll(scrollTop) {
+        this.element.scrollTop = scrollTop;
+    }
+}
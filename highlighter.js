@@ -1,8 +1,15 @@
+import { History } from './history.js';
+
 /**
  * @class Highliter implements the logic for highlighting source code, while
  *                      decoupling it from the whole editor's logic. It does
  *                      so by not storing source code DOM state, and simply
  *                      requring DOM elements as parameters when necessary.
+ *                      The only state kept is a cache of the last rendering
+ *                      of each target element, used to re-highlight just the
+ *                      region affected by an edit. Code can also be
+ *                      tokenized, or highlighted into an HTML string,
+ *                      without a DOM.
  */
 export class Highlighter {
     /**
@@ -16,42 +23,126 @@ export class Highlighter {
      *                                  bracket: {
      *                                      name: string,
      *                                      diretion: 'opening' | 'closing'
-     *                                  }
+     *                                  },
+     *                                  states: [string],
+     *                                  push: string,
+     *                                  pop: boolean
      *                              }
-     *                              where "bracket" is optional.
+     *                              where "bracket", "states", "push" and
+     *                              "pop" are optional.
      *                              "regex" defines the RegEx that recognizes a
      *                              certain type of token, while "className"
      *                              defines the CSS class that will be
      *                              attributed to these tokens. If bracket is
-     *                              given, when the editor's cursor is behind
-     *                              a token recognized by this rule, an
-     *                              additional CSS class is given to the token
-     *                              and to another corresponding token, such
-     *                              that one type of token "opens" and the other
-     *                              "closes" the first one.
+     *                              given, when the editor's cursor is before
+     *                              or after a token recognized by this rule,
+     *                              the additional CSS class "selected-bracket"
+     *                              is given to the token and to another
+     *                              corresponding token, such that one type of
+     *                              token "opens" and the other "closes" the
+     *                              first one. Tokens without a corresponding
+     *                              one, or closing another name's bracket,
+     *                              are given the class "unmatched-bracket".
+     *                              The code is tokenized by a state machine
+     *                              with a stack of named states, starting
+     *                              with just 'root'. A rule is only applied
+     *                              in the states listed in "states", default
+     *                              ['root']. After a token is recognized by a
+     *                              rule, the current state is popped if "pop"
+     *                              is true (the root state is never popped),
+     *                              and then the state named by "push" is
+     *                              pushed, if given. This allows, e.g., a
+     *                              rule to open a block comment spanning
+     *                              multiple lines, where only the rules of
+     *                              the comment state apply until one of them
+     *                              pops it.
      */
     constructor(...types) {
         this.types = types;
 
+        const names = new Set(['root']);
+        for (const type of types) {
+            for (const name of type.states || ['root']) {
+                names.add(name);
+            }
+            if (type.push !== undefined) {
+                names.add(type.push);
+            }
+        }
+
+        // Maps state names to the lexers used while in them.
+        this.lexers = new Map();
+        for (const name of names) {
+            this.lexers.set(name, this.createLexer(types.filter(
+                type => (type.states || ['root']).includes(name)
+            )));
+        }
+        this.initialStack = ['root'];
+        // Number of classes telling the depth of brackets, zero if disabled.
+        this.rainbowDepths = 0;
+        // Maps target elements to the pieces last rendered into them.
+        this.rendered = new WeakMap();
+    }
+
+    /**
+     * @method createLexer Builds a single alternation regex from the rules
+     *                      applied in a state.
+     * 
+     * @private to this class
+     * 
+     * @param {array} types Rules in the format accepted by the constructor.
+     * @returns {object} The lexer, in the format:
+     *                  { regex:RegExp, types:array, groups:array }
+     *                  where groups has, for every rule, the index of the
+     *                  regex's group capturing the rule's tokens.
+     */
+    createLexer(types) {
+        if (types.length == 0) {
+            return { regex: /(?!)/g, types, groups: [] };
+        }
+
+        const groups = [];
+        let groupCount = 0;
+        for (const type of types) {
+            groups.push(groupCount + 1);
+            // Counts the groups of the rule itself by matching an empty
+            // alternative.
+            const ownGroups = new RegExp(type.regex.source + '|').exec('');
+            groupCount += ownGroups.length;
+        }
+
         const alternatives = types.map(type => '(' + type.regex.source + ')');
         const flags = types.reduce(
             (flags, type) => {
                 for (const flag of type.regex.flags) {
-                    if (flags.indexOf(flag) < 0) {
+                    if (flags.indexOf(flag) < 0 && flag != 'y') {
                         flags += flag;
                     }
                 }
                 return flags;
             },
-            ''
+            'g'
         );
 
-        this.splitRegex = new RegExp(alternatives.join('|'), flags);
+        return {
+            regex: new RegExp(alternatives.join('|'), flags),
+            types,
+            groups,
+        };
     }
 
     /**
      * @method highlight Highlights the code from a textarea into a pre, using
      *                      the rules given to the highlighter in constructor.
+     *                      If the pre was last highlighted by this
+     *                      highlighter and the given action explains the
+     *                      difference between the old and the new code, only
+     *                      the region affected by the action is re-tokenized,
+     *                      and the existing DOM nodes are patched in place.
+     *                      The output is the same as highlighting everything
+     *                      again, as long as no rule decides whether it
+     *                      matches by looking past a line break it does not
+     *                      consume.
      * 
      * @param {HTMLTextAreaElement} inputElement Element where source code the
      *                                           user writes to.
@@ -59,89 +150,840 @@ export class Highlighter {
      *                                          be displayed.
      * @param {Document} dom Object representing a page's document. Optional if
      *                          being used on the browser.
+     * @param {object} action Optional, the edit that turned the previously
+     *                          highlighted code into the current one, in the
+     *                          format:
+     *                          { start:number, oldText:string, newText:string }
+     * @param {array} decorations Optional, ranges of the code displayed with
+     *                              additional CSS classes, on top of the
+     *                              highlighting rules. Each one in the format:
+     *                              {
+     *                                  start: number,
+     *                                  end: number,
+     *                                  className: string,
+     *                                  title: string
+     *                              }
+     *                              where "title" is optional and becomes the
+     *                              title of the decorated elements. If "start"
+     *                              and "end" are equal, an empty element with
+     *                              the given class is inserted at that
+     *                              position, e.g. for displaying a caret.
      */
-    highlight(inputElement, targetElement, dom) {
+    highlight(inputElement, targetElement, dom, action, decorations) {
         dom = dom || document;
         const baseText = inputElement.value;
-        const brackets = {};
-        let index = 0;
+        let rendered = this.validRendering(targetElement);
+
+        if (rendered === undefined) {
+            rendered = this.highlightAll(baseText, targetElement, dom);
+        } else if (rendered.text != baseText) {
+            if (History.explains(action, rendered.text, baseText)) {
+                this.highlightEdit(baseText, rendered, action);
+            } else {
+                rendered = this.highlightAll(baseText, targetElement, dom);
+            }
+        }
+
+        this.highlightBrackets(
+            rendered.pieces,
+            inputElement.selectionStart,
+            inputElement.selectionEnd
+        );
+        this.render(rendered, decorations || [], dom);
+    }
+
+    /**
+     * @method tokenize Splits source code into the tokens recognized by the
+     *                  rules given to the highlighter in constructor, without
+     *                  a DOM.
+     * 
+     * @param {string} text The source code.
+     * @returns {array} The tokens sorted by start, in the format:
+     *                  {
+     *                      start: number,
+     *                      end: number,
+     *                      text: string,
+     *                      className: string,
+     *                      bracket: { name:string, direction:string }
+     *                  }
+     *                  where "className" and "bracket" are the ones of the
+     *                  rule recognizing the token, and "bracket" is
+     *                  undefined if the rule has none. The text between
+     *                  tokens is not highlighted.
+     */
+    tokenize(text) {
+        return this.scan(text, 0, this.initialStack, () => false)
+            .filter(piece => piece.isToken)
+            .map(piece => ({
+                start: piece.start,
+                end: piece.start + piece.text.length,
+                text: piece.text,
+                className: piece.type.className,
+                bracket: piece.type.bracket,
+            }));
+    }
+
+    /**
+     * @method renderHTML Highlights source code into an HTML string, without
+     *                      a DOM, e.g. for rendering it on a server or
+     *                      exporting it. The string is the same content
+     *                      highlight displays in a pre, except for the line
+     *                      break appended to the pre and the brackets
+     *                      touching the cursor, as there is none.
+     * 
+     * @param {string} text The source code.
+     * @param {array} decorations Optional, ranges of the code displayed with
+     *                              additional CSS classes, in the format of
+     *                              highlight.
+     * @returns {string} The HTML of the highlighted code, to be placed in a
+     *                      pre element.
+     */
+    renderHTML(text, decorations) {
+        const pieces = this.scan(text, 0, this.initialStack, () => false);
+        this.highlightBrackets(pieces, -1, -1);
+        const { assigned, tail } = this.assignDecorations(
+            pieces,
+            text.length,
+            decorations || []
+        );
+
+        let html = '';
+        const renderPiece = (piece, start, pieceDecorations) => {
+            const length = piece.text.length;
+            const spans = this.createSpans(
+                piece,
+                this.relativeDecorations(pieceDecorations, start, length),
+                length
+            );
+            for (const span of spans) {
+                html += this.spanHTML(span.text, span.classes);
+            }
+        };
+        for (const piece of pieces) {
+            renderPiece(piece, piece.start, assigned.get(piece) || []);
+        }
+        renderPiece({ text: '', type: undefined }, text.length, tail);
+        return html;
+    }
+
+    /**
+     * @method highlightAll Discards the contents of the target element and
+     *                      tokenizes the whole text again.
+     * 
+     * @private to this class
+     * 
+     * @param {string} text The source code being highlighted.
+     * @param {HTMLPreElement} targetElement Element where highlighted code will
+     *                                          be displayed.
+     * @param {Document} dom Object representing a page's document.
+     * @returns {object} The new rendering of the target element.
+     */
+    highlightAll(text, targetElement, dom) {
+        const pieces = this.scan(text, 0, this.initialStack, () => false);
 
         targetElement.innerHTML = '';
+        const br = dom.createElement('br');
+        targetElement.appendChild(br);
 
-        for (let piece of baseText.split(this.splitRegex)) {
-            if (piece == undefined || piece == '') {
-                continue;
+        const rendered = {
+            text,
+            pieces,
+            tail: { nodes: [], signature: '' },
+            nodeCount: 0,
+            br,
+            targetElement,
+        };
+        this.rendered.set(targetElement, rendered);
+        return rendered;
+    }
+
+    /**
+     * @method highlightEdit Re-tokenizes only the region of the text affected
+     *                          by an action, removing the nodes of the pieces
+     *                          in that region.
+     * 
+     * @private to this class
+     * 
+     * @param {string} text The source code being highlighted.
+     * @param {object} rendered The cached rendering of the old text, in the
+     *                          format:
+     *                          {
+     *                              text: string,
+     *                              pieces: array,
+     *                              tail: object,
+     *                              nodeCount: number,
+     *                              br: HTMLBRElement,
+     *                              targetElement: HTMLPreElement
+     *                          }
+     * @param {object} action The edit that turned the old text into the new
+     *                          one.
+     */
+    highlightEdit(text, rendered, action) {
+        const pieces = rendered.pieces;
+        const delta = action.newText.length - action.oldText.length;
+        const newEnd = action.start + action.newText.length;
+        const lineStart = (
+            action.start > 0
+                ? text.lastIndexOf('\n', action.start - 1) + 1
+                : 0
+        );
+
+        // Scanning must restart where the full scan would be searching for
+        // a token, i.e. at the start of the text or right after a token. It
+        // also restarts before the line break preceding the edit, since a
+        // token ending there might now extend into the edited line.
+        let first = Math.max(0, this.findPiece(pieces, lineStart) - 1);
+        if (first > 0 && pieces[first].isToken && !pieces[first - 1].isToken) {
+            first--;
+        }
+        const scanStart = first < pieces.length ? pieces[first].start : 0;
+        const stack = first > 0 ? pieces[first - 1].stack : this.initialStack;
+
+        // Scanning can stop as soon as it reaches, after the edit, a position
+        // where the old scan was searching for a token too, in the same
+        // states.
+        let last = pieces.length;
+        const shouldStop = (position, newStack) => {
+            if (position <= newEnd) {
+                return false;
+            }
+            const index = this.findPiece(pieces, position - delta);
+            if (
+                index < pieces.length
+                && index > 0
+                && pieces[index].start == position - delta
+                && pieces[index - 1].isToken
+                && this.sameStack(pieces[index - 1].stack, newStack)
+            ) {
+                last = index;
+                return true;
             }
+            return false;
+        };
+        const newPieces = this.scan(text, scanStart, stack, shouldStop);
+
+        for (let i = first; i < last; i++) {
+            this.removeNodes(rendered, pieces[i]);
+        }
+        for (let i = last; i < pieces.length; i++) {
+            pieces[i].start += delta;
+        }
 
-            const type = this.types.find(type => type.regex.test(piece));
+        pieces.splice(first, last - first, ...newPieces);
+        rendered.text = text;
+    }
 
-            let child;
-            if (type === undefined) {
-                child = dom.createTextNode(piece);
+    /**
+     * @method scan Splits the text into pieces, which are either tokens
+     *              recognized by the rules or the plain text between them.
+     * 
+     * @private to this class
+     * 
+     * @param {string} text The source code being split.
+     * @param {number} position Where scanning starts. Must be either the start
+     *                          of the text or the end of a token.
+     * @param {array} stack Names of the states in effect at the position,
+     *                      from the bottom to the top of the stack.
+     * @param {function} shouldStop Called with the end position of every
+     *                              token found and the stack after it,
+     *                              scanning stops when it returns true.
+     * @returns {array} The pieces found, in the format:
+     *                  { start:number, text:string, type:object,
+     *                      isToken:boolean, stack:array }
+     *                  where stack is the stack in effect after the piece,
+     *                  to which rendering adds the fields "nodes",
+     *                  "signature" and "bracketClass".
+     */
+    scan(text, position, stack, shouldStop) {
+        const pieces = [];
+        let lexer = this.lexers.get(stack[stack.length - 1]);
+        lexer.regex.lastIndex = position;
+
+        let match = lexer.regex.exec(text);
+        while (match != null) {
+            if (match[0] == '') {
+                lexer.regex.lastIndex++;
             } else {
-                child = dom.createElement('span');
-                child.setAttribute('class', type.className);
-                child.textContent = piece;
-
-                if (type.bracket !== undefined) {
-                    this.handleBrackets(
-                        inputElement,
-                        piece,
-                        type,
-                        brackets,
-                        index,
-                        child,
-                    );
+                if (match.index > position) {
+                    pieces.push({
+                        start: position,
+                        text: text.substring(position, match.index),
+                        type: undefined,
+                        isToken: false,
+                        stack,
+                    });
+                }
+
+                const type = lexer.types.find(
+                    (type, i) => match[lexer.groups[i]] !== undefined
+                );
+                stack = this.nextStack(stack, type);
+                pieces.push({
+                    start: match.index,
+                    text: match[0],
+                    type,
+                    isToken: true,
+                    stack,
+                });
+
+                position = lexer.regex.lastIndex;
+                if (shouldStop(position, stack)) {
+                    return pieces;
                 }
+                lexer = this.lexers.get(stack[stack.length - 1]);
+                lexer.regex.lastIndex = position;
             }
+            match = lexer.regex.exec(text);
+        }
 
-            targetElement.appendChild(child);
-            index += piece.length;
+        if (position < text.length) {
+            pieces.push({
+                start: position,
+                text: text.substring(position),
+                type: undefined,
+                isToken: false,
+                stack,
+            });
         }
 
-        targetElement.appendChild(dom.createElement('br'));
+        return pieces;
     }
 
     /**
-     * @method handleBrackets Higlights brackets in general, matching
-     *                          opening and closing brackets.
+     * @method nextStack Computes the stack of states after a token.
      * 
      * @private to this class
      * 
-     * @param {HTMLTextAreaElement} inputElement Element where the user writes
-     *                                              code to.
-     * @param {string} piece Piece of string being highlighted.
-     * @param {object} type Type of token, in the same format as in constructor.
-     * @param {array} brackets Array of objects containg bracket data,
-     *                          where brackets are stacked-up.
-     * @param {int} index       Index of the token start in input string.
-     * @param {HTMLElement} child Child element where the bracket is displayed.
+     * @param {array} stack Names of the states in effect before the token.
+     * @param {object} type The rule that recognized the token.
+     * @returns {array} The new stack, or the given one if unchanged. Stacks
+     *                  are never modified, so that pieces can share them.
      */
-    handleBrackets(inputElement, piece, type, brackets, index, child) {
-        let isSelected = (
-            inputElement.selectionStart == index
-            && inputElement.selectionEnd <= index + piece.length
+    nextStack(stack, type) {
+        if (type.pop && stack.length > 1) {
+            stack = stack.slice(0, stack.length - 1);
+        }
+        if (type.push !== undefined) {
+            stack = stack.concat([type.push]);
+        }
+        return stack;
+    }
+
+    /**
+     * @method sameStack Tests whether two stacks of states are equal.
+     * 
+     * @private to this class
+     * 
+     * @param {array} first A stack of state names.
+     * @param {array} second Another stack of state names.
+     * @returns {boolean} Whether they have the same states in the same order.
+     */
+    sameStack(first, second) {
+        return (
+            first === second
+            || (
+                first.length == second.length
+                && first.every((name, i) => name == second[i])
+            )
         );
-        const name = type.bracket.name;
-        brackets[name] = brackets[name] || [];
-
-        switch (type.bracket.direction) {
-            case 'opening': {
-                brackets[name].push({ node: child, selected: isSelected });
-                break;
-            }
-            case 'closing': {
-                const prev = brackets[name].pop();
-                if (prev !== undefined && (prev.selected || isSelected)) {
-                    let cls = child.getAttribute('class');
-                    child.setAttribute('class', cls + ' selected-bracket');
-
-                    cls = prev.node.getAttribute('class');
-                    prev.node.setAttribute('class', cls + ' selected-bracket');
+    }
+
+    /**
+     * @method render Brings the DOM nodes up to date with the pieces and
+     *                  decorations, creating nodes only for pieces that are
+     *                  new or whose displayed classes changed.
+     * 
+     * @private to this class
+     * 
+     * @param {object} rendered The cached rendering of the text.
+     * @param {array} decorations Decorations in the format of highlight.
+     * @param {Document} dom Object representing a page's document.
+     */
+    render(rendered, decorations, dom) {
+        const pieces = rendered.pieces;
+        const { assigned, tail } = this.assignDecorations(
+            pieces,
+            rendered.text.length,
+            decorations
+        );
+
+        this.renderNodes(rendered, rendered.tail, tail, rendered.br, dom);
+        let next = rendered.tail.nodes.length > 0
+            ? rendered.tail.nodes[0]
+            : rendered.br;
+        for (let i = pieces.length - 1; i >= 0; i--) {
+            const piece = pieces[i];
+            this.renderNodes(
+                rendered,
+                piece,
+                assigned.get(piece) || [],
+                next,
+                dom
+            );
+            next = piece.nodes[0];
+        }
+    }
+
+    /**
+     * @method assignDecorations Finds the pieces every decoration intersects.
+     * 
+     * @private to this class
+     * 
+     * @param {array} pieces Pieces in the format returned by scan.
+     * @param {number} length Length of the text.
+     * @param {array} decorations Decorations in the format of highlight.
+     * @returns {object} In the format:
+     *                   { assigned:Map, tail:array }
+     *                   where assigned maps pieces to the decorations
+     *                   intersecting them, and tail has the decorations at
+     *                   the end of the text.
+     */
+    assignDecorations(pieces, length, decorations) {
+        const assigned = new Map();
+        const tail = [];
+
+        for (const decoration of decorations) {
+            const start = Math.max(0, decoration.start);
+            const end = Math.min(length, decoration.end);
+            if (start > end || (start == end && decoration.start != start)) {
+                continue;
+            }
+            if (start == length) {
+                tail.push(decoration);
+                continue;
+            }
+            let index = Math.max(0, this.findPiece(pieces, start + 1) - 1);
+            do {
+                const piece = pieces[index];
+                if (!assigned.has(piece)) {
+                    assigned.set(piece, []);
                 }
+                assigned.get(piece).push(decoration);
+                index++;
+            } while (index < pieces.length && pieces[index].start < end);
+        }
+
+        return { assigned, tail };
+    }
+
+    /**
+     * @method renderNodes Replaces the DOM nodes displaying a piece, if they
+     *                      are missing or outdated.
+     * 
+     * @private to this class
+     * 
+     * @param {object} rendered The cached rendering of the text.
+     * @param {object} piece A piece in the format returned by scan, or the
+     *                          tail of the rendering, an empty piece at the
+     *                          end of the text.
+     * @param {array} decorations Decorations intersecting the piece.
+     * @param {Node} next Node displayed right after this piece.
+     * @param {Document} dom Object representing a page's document.
+     */
+    renderNodes(rendered, piece, decorations, next, dom) {
+        const isTail = piece === rendered.tail;
+        const start = isTail ? rendered.text.length : piece.start;
+        const length = isTail ? 0 : piece.text.length;
+        const relative = this.relativeDecorations(decorations, start, length);
+        const signature = (piece.bracketClass || '') + relative.map(
+            decoration => [
+                decoration.start,
+                decoration.end,
+                decoration.className,
+                decoration.title,
+            ].join(':')
+        ).join('|');
 
-                break;
+        if (piece.nodes !== undefined && piece.signature == signature) {
+            return;
+        }
+
+        const nodes = this.createSpans(piece, relative, length).map(
+            span => this.createNode(span.text, span.classes, dom)
+        );
+        for (const node of nodes) {
+            rendered.targetElement.insertBefore(node, next);
+        }
+        if (piece.nodes !== undefined) {
+            this.removeNodes(rendered, piece);
+        }
+        piece.nodes = nodes;
+        piece.signature = signature;
+        rendered.nodeCount += nodes.length;
+    }
+
+    /**
+     * @method relativeDecorations Moves decorations intersecting a piece to
+     *                              positions relative to the piece's start,
+     *                              clamped to the piece.
+     * 
+     * @private to this class
+     * 
+     * @param {array} decorations Decorations in the format of highlight.
+     * @param {number} start Start of the piece.
+     * @param {number} length Length of the piece.
+     * @returns {array} The decorations, in the format:
+     *                  { start:number, end:number, className:string,
+     *                      title:string, isPoint:boolean }
+     */
+    relativeDecorations(decorations, start, length) {
+        return decorations.map(decoration => ({
+            start: Math.max(0, decoration.start - start),
+            end: Math.min(length, decoration.end - start),
+            className: decoration.className,
+            title: decoration.title,
+            isPoint: decoration.start == decoration.end,
+        }));
+    }
+
+    /**
+     * @method createSpans Splits a piece where decorations start or end, into
+     *                      the spans of text displayed with the same classes.
+     * 
+     * @private to this class
+     * 
+     * @param {object} piece A piece in the format returned by scan, or the
+     *                          tail of the rendering.
+     * @param {array} decorations Decorations intersecting the piece, with
+     *                              positions relative to the piece's start.
+     * @param {number} length Length of the piece.
+     * @returns {array} The spans, in the format:
+     *                  { text:string, classes:array }
+     *                  in the format of createNode's parameters.
+     */
+    createSpans(piece, decorations, length) {
+        const spans = [];
+        const bounds = new Set([0, length]);
+        for (const decoration of decorations) {
+            bounds.add(decoration.start);
+            bounds.add(decoration.end);
+        }
+        const positions = Array.from(bounds).sort((a, b) => a - b);
+
+        for (let i = 0; i < positions.length; i++) {
+            const position = positions[i];
+            for (const decoration of decorations) {
+                if (decoration.isPoint && decoration.start == position) {
+                    spans.push({ text: '', classes: [decoration] });
+                }
+            }
+
+            if (i + 1 < positions.length) {
+                const end = positions[i + 1];
+                const covering = decorations.filter(decoration => (
+                    !decoration.isPoint
+                    && decoration.start <= position
+                    && decoration.end >= end
+                ));
+                if (piece.type !== undefined) {
+                    let className = piece.type.className;
+                    if (piece.bracketClass !== undefined) {
+                        className += ' ' + piece.bracketClass;
+                    }
+                    covering.unshift({ className });
+                }
+                spans.push({
+                    text: piece.text.substring(position, end),
+                    classes: covering,
+                });
+            }
+        }
+
+        return spans;
+    }
+
+    /**
+     * @method createNode Creates a single DOM node, which is a text node if
+     *                      no class is given, or a span element otherwise.
+     * 
+     * @private to this class
+     * 
+     * @param {string} text Text of the node.
+     * @param {array} classes Objects with the fields "className" and
+     *                          optionally "title" to be applied to the node.
+     * @param {Document} dom Object representing a page's document.
+     * @returns {Node} The created node.
+     */
+    createNode(text, classes, dom) {
+        if (classes.length == 0) {
+            return dom.createTextNode(text);
+        }
+        const child = dom.createElement('span');
+        child.setAttribute(
+            'class',
+            classes.map(cls => cls.className).join(' ')
+        );
+        const titles = classes
+            .map(cls => cls.title)
+            .filter(title => title !== undefined);
+        if (titles.length > 0) {
+            child.setAttribute('title', titles.join('\n'));
+        }
+        child.textContent = text;
+        return child;
+    }
+
+    /**
+     * @method spanHTML Writes a single span of text as HTML, in the same way
+     *                  createNode creates it as a DOM node.
+     * 
+     * @private to this class
+     * 
+     * @param {string} text Text of the span.
+     * @param {array} classes Objects with the fields "className" and
+     *                          optionally "title" to be applied to the span.
+     * @returns {string} The HTML.
+     */
+    spanHTML(text, classes) {
+        const escape = value => value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        if (classes.length == 0) {
+            return escape(text);
+        }
+        let html = '<span class="' + escape(
+            classes.map(cls => cls.className).join(' ')
+        ) + '"';
+        const titles = classes
+            .map(cls => cls.title)
+            .filter(title => title !== undefined);
+        if (titles.length > 0) {
+            html += ' title="' + escape(titles.join('\n')) + '"';
+        }
+        return html + '>' + escape(text) + '</span>';
+    }
+
+    /**
+     * @method removeNodes Removes the DOM nodes displaying a piece.
+     * 
+     * @private to this class
+     * 
+     * @param {object} rendered The cached rendering of the text.
+     * @param {object} piece The piece whose nodes are removed.
+     */
+    removeNodes(rendered, piece) {
+        if (piece.nodes === undefined) {
+            return;
+        }
+        for (const node of piece.nodes) {
+            rendered.targetElement.removeChild(node);
+        }
+        rendered.nodeCount -= piece.nodes.length;
+        piece.nodes = undefined;
+    }
+
+    /**
+     * @method findPiece Binary searches the index of the first piece starting
+     *                      at or after the given position.
+     * 
+     * @private to this class
+     * 
+     * @param {array} pieces Pieces in the format returned by scan.
+     * @param {number} position Position in the text.
+     * @returns {number} The index found, or pieces.length if there is none.
+     */
+    findPiece(pieces, position) {
+        let low = 0;
+        let high = pieces.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (pieces[middle].start < position) {
+                low = middle + 1;
+            } else {
+                high = middle;
             }
         }
+        return low;
+    }
+
+    /**
+     * @method validRendering Gets the cached rendering of a target element, if
+     *                          the element still displays it.
+     * 
+     * @private to this class
+     * 
+     * @param {HTMLPreElement} targetElement Element where highlighted code is
+     *                                          displayed.
+     * @returns {object} The cached rendering, or undefined.
+     */
+    validRendering(targetElement) {
+        const rendered = this.rendered.get(targetElement);
+        if (
+            rendered === undefined
+            || targetElement.lastChild !== rendered.br
+            || targetElement.childNodes.length != rendered.nodeCount + 1
+        ) {
+            return undefined;
+        }
+        return rendered;
+    }
+
+    /**
+     * @method bracketPairs Finds the pairs of matching brackets in the code
+     *                      last highlighted into a target element.
+     * 
+     * @param {HTMLPreElement} targetElement Element where highlighted code is
+     *                                          displayed.
+     * @returns {array} The pairs sorted by the start of the opening bracket,
+     *                  in the format:
+     *                  {
+     *                      open: { start:number, end:number },
+     *                      close: { start:number, end:number }
+     *                  }
+     */
+    bracketPairs(targetElement) {
+        const rendered = this.validRendering(targetElement);
+        if (rendered === undefined) {
+            return [];
+        }
+        const range = piece => ({
+            start: piece.start,
+            end: piece.start + piece.text.length,
+        });
+        return this.pairBrackets(rendered.pieces).pairs
+            .map(pair => ({ open: range(pair.open), close: range(pair.close) }))
+            .sort((a, b) => a.open.start - b.open.start);
+    }
+
+    /**
+     * @method setRainbowDepths Enables classes telling the depth of matching
+     *                          brackets, "bracket-depth-0" for the outermost
+     *                          pairs, "bracket-depth-1" for the pairs inside
+     *                          them, and so on, cycling after the given
+     *                          number of classes. Brackets of every name are
+     *                          counted together.
+     * 
+     * @param {number} count Number of depth classes. Zero disables them.
+     */
+    setRainbowDepths(count) {
+        this.rainbowDepths = count;
+    }
+
+    /**
+     * @method highlightBrackets Higlights brackets in general: the pair of
+     *                              matching brackets the cursor is touching,
+     *                              before or after either of them, brackets
+     *                              without a match and, if enabled, the
+     *                              depth of every pair.
+     * 
+     * @private to this class
+     * 
+     * @param {array} pieces Pieces in the format returned by scan, whose
+     *                          field "bracketClass" is set.
+     * @param {number} start Start of the selection.
+     * @param {number} end End of the selection.
+     */
+    highlightBrackets(pieces, start, end) {
+        // A bracket starting at the cursor wins over one ending at it.
+        const touching = piece => {
+            const pieceEnd = piece.start + piece.text.length;
+            if (piece.start == start && (end == start || end == pieceEnd)) {
+                return 2;
+            }
+            return start == end && pieceEnd == start ? 1 : 0;
+        };
+
+        const { pairs, unmatched } = this.pairBrackets(pieces);
+        const classes = new Map();
+        let selected = undefined;
+        let selectedTouch = 0;
+
+        for (const pair of pairs) {
+            const touch = Math.max(touching(pair.open), touching(pair.close));
+            if (touch > selectedTouch) {
+                selected = pair;
+                selectedTouch = touch;
+            }
+            if (this.rainbowDepths > 0) {
+                const depthClass = (
+                    'bracket-depth-' + pair.depth % this.rainbowDepths
+                );
+                classes.set(pair.open, [depthClass]);
+                classes.set(pair.close, [depthClass]);
+            }
+        }
+        if (selected !== undefined) {
+            for (const piece of [selected.open, selected.close]) {
+                classes.set(
+                    piece,
+                    (classes.get(piece) || []).concat('selected-bracket')
+                );
+            }
+        }
+        for (const piece of unmatched) {
+            classes.set(piece, ['unmatched-bracket']);
+        }
+
+        for (const piece of pieces) {
+            if (piece.type !== undefined && piece.type.bracket !== undefined) {
+                const pieceClasses = classes.get(piece);
+                piece.bracketClass = (
+                    pieceClasses === undefined
+                        ? undefined
+                        : pieceClasses.join(' ')
+                );
+            }
+        }
+    }
+
+    /**
+     * @method pairBrackets Matches opening and closing bracket pieces, by
+     *                      stacking-up opening brackets. A closing bracket
+     *                      matches the innermost opening bracket of its name
+     *                      still open, and the brackets opened inside them
+     *                      are left without a match, as are closing brackets
+     *                      without an opening one of their name.
+     * 
+     * @private to this class
+     * 
+     * @param {array} pieces Pieces in the format returned by scan.
+     * @returns {object} In the format:
+     *                   {
+     *                       pairs: [{ open:object, close:object,
+     *                                 depth:number }],
+     *                       unmatched: [object]
+     *                   }
+     *                   where open, close and unmatched are pieces, and
+     *                   depth is the number of pairs around a pair.
+     */
+    pairBrackets(pieces) {
+        const opened = [];
+        const pairs = [];
+        const unmatched = [];
+
+        for (const piece of pieces) {
+            if (piece.type === undefined || piece.type.bracket === undefined) {
+                continue;
+            }
+            const name = piece.type.bracket.name;
+
+            switch (piece.type.bracket.direction) {
+                case 'opening': {
+                    opened.push(piece);
+                    break;
+                }
+                case 'closing': {
+                    let depth = opened.length - 1;
+                    while (
+                        depth >= 0
+                        && opened[depth].type.bracket.name != name
+                    ) {
+                        depth--;
+                    }
+                    if (depth < 0) {
+                        unmatched.push(piece);
+                    } else {
+                        unmatched.push(...opened.splice(depth + 1));
+                        pairs.push({ open: opened.pop(), close: piece, depth });
+                    }
+                    break;
+                }
+            }
+        }
+        unmatched.push(...opened);
+
+        return { pairs, unmatched };
     }
 }
@@ -1,3 +1,20 @@
+import { compress, decompress } from './compression.js';
+
+/**
+ * Version of the format of the data exported by History. Data without a
+ * version is in the first format, which had neither compression nor the
+ * version field.
+ */
+const formatVersion = 2;
+
+/**
+ * Functions turning exported data of a version of the format, by version,
+ * into data of the next version.
+ */
+const migrations = {
+    1: data => Object.assign({}, data, { version: 2 }),
+};
+
 /**
  * @class HistoryError is used to differentiate JS errors from errors occuring
  *                      because of an attempt to load an invalid history.
@@ -19,6 +36,9 @@ export class HistoryError extends Error {
  *                  decoupling history from the editor as a whole, e.g. by
  *                  not managing DOM elements as internal state, but rather
  *                  requiring them as parameters only where necessary.
+ *                  History is a tree: adding an action after undoing others
+ *                  starts a new branch, and the undone actions are kept in
+ *                  their own branch, which can be switched back to.
  * @private to the library.
  */
 export class History {
@@ -28,124 +48,1204 @@ export class History {
      * @param {number} limit Limit of this history, such that, when history has
      *                          too many entries, initial entries are
      *                          chopped-off in order to satisfy this limit.
+     * @param {number} mergeTimeout Time in milliseconds after which an action
+     *                              typed by the user is no longer merged with
+     *                              the previous one. Zero disables merging.
+     *                              Optional, default 1000.
      */
-    constructor(limit) {
-        // Exclusive, always one-after the last valid entry.
-        this.cursor = 0;
-        this.entries = [];
+    constructor(limit, mergeTimeout) {
+        // Nodes of the tree are in the format
+        // { entry:object, parent:object, children:array, selected:number }
+        // where selected is the index of the child redone from the node.
+        // The root has no entry, and stands for the oldest state kept.
+        this.root = this.createNode(undefined, null);
+        // The node whose entry was done last.
+        this.node = this.root;
+        // Number of nodes with an entry.
+        this.size = 0;
+        // Fingerprint of the source code imported data was exported with,
+        // in the format of History.fingerprint, if any.
+        this.fingerprint = undefined;
         this.limit = limit || 5000;
+        this.mergeTimeout = mergeTimeout === undefined ? 1000 : mergeTimeout;
+        // Kind and time of the last merge-able action, if the last done
+        // entry can still absorb typing.
+        this.lastTyped = null;
+        this.groupDepth = 0;
+        this.group = null;
+        this.groupSelection = undefined;
+        // Number of changes so far, telling whether the last export, in the
+        // format { revision:number, key:string, content:string, data:object },
+        // is still up to date.
+        this.revision = 0;
+        this.exported = undefined;
+    }
+
+    /**
+     * @method diff Computes a single action that turns a text into another.
+     * 
+     * @param {string} oldText The text before the action.
+     * @param {string} newText The text after the action.
+     * @param {number} maxStart Optional, the position where the action starts
+     *                          at most. Useful when the text has repetitions
+     *                          and the place where the user edited is known.
+     * @returns {object} An action in the format {
+     *                                              start: int,
+     *                                              oldText: string,
+     *                                              newText: string,
+     *                                           }
+     */
+    static diff(oldText, newText, maxStart) {
+        let limit = Math.min(oldText.length, newText.length);
+        if (maxStart !== undefined && maxStart < limit) {
+            limit = maxStart;
+        }
+        let start = 0;
+        while (start < limit && oldText[start] == newText[start]) {
+            start++;
+        }
+        let oldEnd = oldText.length;
+        let newEnd = newText.length;
+        while (
+            oldEnd > start
+            && newEnd > start
+            && oldText[oldEnd - 1] == newText[newEnd - 1]
+        ) {
+            oldEnd--;
+            newEnd--;
+        }
+        return {
+            start,
+            oldText: oldText.substring(start, oldEnd),
+            newText: newText.substring(start, newEnd),
+        };
+    }
+
+    /**
+     * @method explains Tests whether applying an action to a text results in
+     *                  another, e.g. before moving positions according to the
+     *                  action instead of computing it again with diff.
+     * 
+     * @param {object} action Optional, action in the format:
+     *                        { start:number, oldText:string, newText:string }
+     * @param {string} oldText Text before the action.
+     * @param {string} newText Text after the action.
+     * @returns {boolean} Whether the action explains the change.
+     */
+    static explains(action, oldText, newText) {
+        if (action === undefined || action === null) {
+            return false;
+        }
+        const end = action.start + action.oldText.length;
+        return (
+            end <= oldText.length
+            && oldText.length - action.oldText.length + action.newText.length
+                == newText.length
+            && oldText.substring(action.start, end) == action.oldText
+            && oldText.substring(0, action.start)
+                == newText.substring(0, action.start)
+            && newText.substr(action.start, action.newText.length)
+                == action.newText
+            && oldText.substring(end)
+                == newText.substring(action.start + action.newText.length)
+        );
+    }
+
+    /**
+     * @method fingerprint Summarizes source code, such that history can tell
+     *                      whether it was exported along with the same code,
+     *                      and otherwise which lines changed.
+     * 
+     * @param {string} text The source code.
+     * @returns {object} In the format { length:number, lines:string },
+     *                      where lines is made of a hash of each line,
+     *                      separated by commas.
+     */
+    static fingerprint(text) {
+        const lines = text.split('\n').map(line => {
+            // FNV-1a
+            let hash = 0x811C9DC5;
+            for (let i = 0; i < line.length; i++) {
+                hash = Math.imul(hash ^ line.charCodeAt(i), 0x01000193);
+            }
+            return (hash >>> 0).toString(36);
+        });
+        return { length: text.length, lines: lines.join(',') };
+    }
+
+    /**
+     * @method compose Computes a single action equivalent to applying two
+     *                  actions in sequence, given that the second one touches
+     *                  or overlaps the text inserted by the first one.
+     * 
+     * @param {object} first The first action applied.
+     * @param {object} second The action applied after the first one.
+     * @returns {object} The composed action.
+     */
+    static compose(first, second) {
+        const firstEnd = first.start + first.newText.length;
+        const secondEnd = second.start + second.oldText.length;
+        const left = (
+            second.start < first.start
+                ? second.oldText.substring(0, first.start - second.start)
+                : ''
+        );
+        const right = (
+            secondEnd > firstEnd
+                ? second.oldText.substring(
+                    second.oldText.length - (secondEnd - firstEnd)
+                )
+                : ''
+        );
+        const start = Math.min(first.start, second.start);
+        const between = left + first.newText + right;
+        return {
+            start,
+            oldText: left + first.oldText + right,
+            newText: (
+                between.substring(0, second.start - start)
+                + second.newText
+                + between.substring(secondEnd - start)
+            ),
+        };
     }
 
     /**
      * @method undo Undoes a previously done action on the source code, if
      *              the cursor is not at the beginning of history.
      * 
-     * @param {HTMLTextAreaElement} target The element whose text will be
-     *                                      modified.
+     * @param {object} target The text modified, with the value,
+     *                        selectionStart and selectionEnd fields of a
+     *                        textarea, e.g. a TextBuffer.
+     * @returns {object} The action effectively applied to the source code, in
+     *                      the same format as entries, or undefined if
+     *                      nothing was undone.
      */
     undo(target) {
-        if (this.cursor > 0) {
-            this.cursor--;
-            this.applyRev(this.entries[this.cursor], target);
+        this.breakMerging();
+        this.revision++;
+        const node = this.node;
+        if (node !== this.root) {
+            this.node = node.parent;
+            return this.applyRev(node.entry, target);
         }
     }
 
     /**
      * @method redo Redoes a previously undone action on the source code, if
-     *              there is such action available.
+     *              there is such action available. Of multiple branches,
+     *              the one last visited is followed.
      * 
-     * @param {HTMLTextAreaElement} target The element whose text will be
-     *                                      modified.
+     * @param {object} target The text modified, with the value,
+     *                        selectionStart and selectionEnd fields of a
+     *                        textarea, e.g. a TextBuffer.
+     * @returns {object} The action effectively applied to the source code, in
+     *                      the same format as entries, or undefined if
+     *                      nothing was redone.
      */
     redo(target) {
-        if (this.cursor < this.entries.length) {
-            this.apply(this.entries[this.cursor], target);
-            this.cursor++;
+        this.breakMerging();
+        this.revision++;
+        const next = this.node.children[this.node.selected];
+        if (next !== undefined) {
+            const action = this.apply(next.entry, target);
+            this.node = next;
+            return action;
         }
     }
 
+    /**
+     * @method switchBranch Undoes the last done action and does another one
+     *                      done from the same state instead, i.e. moves to
+     *                      another branch of the tree. Branches are ordered
+     *                      from the oldest to the newest, wrapping around.
+     * 
+     * @param {number} offset How many branches forward, or backwards if
+     *                          negative.
+     * @param {object} target The text modified, with the value,
+     *                        selectionStart and selectionEnd fields of a
+     *                        textarea, e.g. a TextBuffer.
+     * @returns {object} A single action covering the changes to the source
+     *                      code, or undefined if there is no other branch.
+     */
+    switchBranch(offset, target) {
+        this.breakMerging();
+        this.revision++;
+        const node = this.node;
+        if (node === this.root || node.parent.children.length < 2) {
+            return undefined;
+        }
+        const parent = node.parent;
+        const count = parent.children.length;
+        const index = (
+            ((parent.children.indexOf(node) + offset) % count + count) % count
+        );
+        const oldText = target.value;
+        this.applyRev(node.entry, target);
+        this.apply(parent.children[index].entry, target);
+        parent.selected = index;
+        this.node = parent.children[index];
+        return History.diff(oldText, target.value);
+    }
+
+    /**
+     * @returns {object} Where the last done action is among the branches
+     *                      leaving the same state, in the format
+     *                      { index:number, count:number }.
+     */
+    get branch() {
+        if (this.node === this.root) {
+            return { index: 0, count: 1 };
+        }
+        const children = this.node.parent.children;
+        return { index: children.indexOf(this.node), count: children.length };
+    }
+
     /**
      * @method import Imports an external object as history. The use-case is for
-     *                  passing a  deserialized object.
+     *                  passing a  deserialized object. Data exported by
+     *                  older versions is migrated, and data exported by
+     *                  newer versions is rejected.
      * 
-     * @param {object} data The object containing external history data. Must
+     * @param {object} data The object containing external history data. Might
+     *                      contain a number field called 'version', default
+     *                      1, and a string field called 'compressed', with
+     *                      the compressed JSON of the other fields. Must
      *                      containg a number field called 'cursor', and an
      *                      array field called entries. Each of the entries must
      *                      contain a number field called 'start', a string
      *                      field called 'oldText' and another string field
      *                      called 'newText'. 'cursor' must not be greater than
      *                      the number of entries, and must not be negative.
+     *                      An entry might also be a group, containing a
+     *                      non-empty array field called 'actions', where each
+     *                      action is in the format of a regular entry.
+     *                      Entries and groups might optionally contain object
+     *                      fields called 'selectionBefore' and
+     *                      'selectionAfter', each with number fields called
+     *                      'start' and 'end'. Entries and groups might also
+     *                      contain a field called 'branches', an array of
+     *                      non-empty arrays of entries: other sequences of
+     *                      entries done from the same state as the entry.
+     *                      'cursor' counts entries of the outer array only.
+     *                      Might also contain an object field called
+     *                      'fingerprint', as given by History.fingerprint,
+     *                      of the source code when exported.
      */
     import(data) {
-        if (typeof data != 'object' || data == null) {
-            throw new HistoryError('Data is not a valid object');
-        }
+        this.revision++;
+        data = this.migrate(data);
         if (typeof data.cursor != 'number') {
             throw new HistoryError('Data cursor is not a number');
         }
         if (!(data.entries instanceof Array)) {
             throw new HistoryError('Data entries are not an Array');
         }
-        for (const entry of data.entries) {
+        this.validateEntries(data.entries);
+        if (data.cursor < 0 || data.cursor > data.entries.length) {
+            throw new HistoryError('Cursor is too far');
+        }
+        const fingerprint = data.fingerprint;
+        if (
+            fingerprint !== undefined
+            && (
+                typeof fingerprint != 'object'
+                || fingerprint == null
+                || typeof fingerprint.length != 'number'
+                || typeof fingerprint.lines != 'string'
+            )
+        ) {
+            throw new HistoryError('Data fingerprint is not valid');
+        }
+        this.reset();
+        this.importEntries(this.root, data.entries);
+        for (let i = 0; i < (data.cursor | 0); i++) {
+            this.node = this.node.children[this.node.selected];
+        }
+        if (fingerprint !== undefined) {
+            this.fingerprint = {
+                length: fingerprint.length,
+                lines: fingerprint.lines,
+            };
+        }
+    }
+
+    /**
+     * @method matches Tells whether source code is the one imported data was
+     *                  exported with, which is assumed if the data had no
+     *                  fingerprint.
+     * 
+     * @param {string} text The source code.
+     * @returns {boolean} Whether the code matches.
+     */
+    matches(text) {
+        const fingerprint = History.fingerprint(text);
+        return this.fingerprint === undefined || (
+            this.fingerprint.length == fingerprint.length
+            && this.fingerprint.lines == fingerprint.lines
+        );
+    }
+
+    /**
+     * @method rebase Adapts history imported along with other source code to
+     *                  the given code, assuming the lines that changed were
+     *                  changed after the last done entry: done entries are
+     *                  moved by the change, until one that touches the
+     *                  changed text, which is forgotten with the older ones.
+     *                  Undone entries are forgotten.
+     * 
+     * @param {string} text The source code.
+     * @returns {boolean} Whether some entry was kept.
+     */
+    rebase(text) {
+        this.revision++;
+        if (this.matches(text)) {
+            this.fingerprint = undefined;
+            return this.size > 0;
+        }
+        const region = this.changedRegion(this.fingerprint, text);
+        const shift = region.length - (region.end - region.start);
+        const kept = [];
+        for (let node = this.node; node !== this.root; node = node.parent) {
+            const entry = this.copyEntry(node.entry);
+            if (!this.rebaseAction(entry, region, shift)) {
+                break;
+            }
+            kept.unshift(entry);
+        }
+
+        this.reset();
+        for (const entry of kept) {
+            const node = this.createNode(entry, this.node);
+            this.node.children.push(node);
+            this.node = node;
+            this.size++;
+        }
+        return kept.length > 0;
+    }
+
+    /**
+     * @method changedRegion Finds the text of the code with a fingerprint
+     *                          that was replaced to give other code, from
+     *                          the lines whose hashes differ.
+     * 
+     * @private to this class
+     * 
+     * @param {object} fingerprint The fingerprint of the old code.
+     * @param {string} text The new code.
+     * @returns {object} In the format
+     *                   { start:number, end:number, length:number }
+     *                   where start and end delimit the replaced text in the
+     *                   old code, and length is the length of the new text.
+     */
+    changedRegion(fingerprint, text) {
+        const oldHashes = fingerprint.lines.split(',');
+        const newHashes = History.fingerprint(text).lines.split(',');
+        const lines = text.split('\n');
+        const count = Math.min(oldHashes.length, newHashes.length);
+
+        let start = 0;
+        let prefix = 0;
+        while (prefix < count && oldHashes[prefix] == newHashes[prefix]) {
+            start += lines[prefix].length + 1;
+            prefix++;
+        }
+        let suffixLength = 0;
+        for (
+            let suffix = 1;
+            prefix + suffix <= count
+            && oldHashes[oldHashes.length - suffix]
+                == newHashes[newHashes.length - suffix];
+            suffix++
+        ) {
+            suffixLength += lines[lines.length - suffix].length + 1;
+        }
+        // Unchanged lines end with a line break before the changed ones, and
+        // start with one after them, which is the same line break when no
+        // line is left in between, or none after the last line.
+        const overlap = Math.max(
+            0,
+            start + suffixLength - Math.min(fingerprint.length, text.length)
+        );
+        if (suffixLength > 0) {
+            suffixLength -= overlap;
+        } else {
+            start -= overlap;
+        }
+        return {
+            start,
+            end: fingerprint.length - suffixLength,
+            length: text.length - suffixLength - start,
+        };
+    }
+
+    /**
+     * @method rebaseAction Moves an action done before a change to the
+     *                      source code, such that it applies to the changed
+     *                      code.
+     * 
+     * @private to this class
+     * 
+     * @param {object} action The action, or group, which is modified.
+     * @param {object} region The changed text in the format
+     *                          { start:number, end:number }
+     *                          relative to the code after the action, which
+     *                          is modified to be relative to the code before
+     *                          it.
+     * @param {number} shift How many characters the change inserted, or
+     *                          deleted if negative.
+     * @returns {boolean} Whether the action did not touch the changed text.
+     */
+    rebaseAction(action, region, shift) {
+        this.rebaseSelection(action, 'selectionAfter', region, shift);
+        if (action.actions !== undefined) {
+            for (let i = action.actions.length - 1; i >= 0; i--) {
+                if (!this.rebaseAction(action.actions[i], region, shift)) {
+                    return false;
+                }
+            }
+        } else if (action.start + action.newText.length <= region.start) {
+            const delta = action.newText.length - action.oldText.length;
+            region.start -= delta;
+            region.end -= delta;
+        } else if (action.start >= region.end) {
+            action.start += shift;
+        } else {
+            return false;
+        }
+        this.rebaseSelection(action, 'selectionBefore', region, shift);
+        return true;
+    }
+
+    /**
+     * @method rebaseSelection Moves a selection of an action by a change to
+     *                          the source code, forgetting it if it touches
+     *                          the changed text.
+     * 
+     * @private to this class
+     * 
+     * @param {object} action The action, which is modified.
+     * @param {string} field Either 'selectionBefore' or 'selectionAfter'.
+     * @param {object} region The changed text in the format
+     *                          { start:number, end:number }
+     *                          relative to the selection.
+     * @param {number} shift How many characters the change inserted, or
+     *                          deleted if negative.
+     */
+    rebaseSelection(action, field, region, shift) {
+        const selection = action[field];
+        if (selection === undefined) {
+            return;
+        }
+        if (selection.end <= region.start) {
+            return;
+        }
+        if (selection.start >= region.end) {
+            selection.start += shift;
+            selection.end += shift;
+            return;
+        }
+        delete action[field];
+    }
+
+    /**
+     * @method migrate Brings imported data to the current version of the
+     *                  format, and decompresses it.
+     * 
+     * @private to this class
+     * 
+     * @param {object} data The imported data.
+     * @returns {object} The data in the current version, not compressed.
+     */
+    migrate(data) {
+        if (typeof data != 'object' || data == null) {
+            throw new HistoryError('Data is not a valid object');
+        }
+        let version = data.version === undefined ? 1 : data.version;
+        if (!Number.isInteger(version) || version < 1) {
+            throw new HistoryError('Data version is not valid');
+        }
+        if (version > formatVersion) {
+            throw new HistoryError(
+                'Data version ' + version + ' is newer than '
+                + formatVersion
+            );
+        }
+        for (; version < formatVersion; version++) {
+            data = migrations[version](data);
+        }
+
+        if (data.compressed === undefined) {
+            return data;
+        }
+        if (typeof data.compressed != 'string') {
+            throw new HistoryError('Data compressed is not a string');
+        }
+        let decompressed;
+        try {
+            decompressed = JSON.parse(decompress(data.compressed));
+        } catch (error) {
+            throw new HistoryError('Data compressed is not valid');
+        }
+        if (typeof decompressed != 'object' || decompressed == null) {
+            throw new HistoryError('Data compressed is not a valid object');
+        }
+        return decompressed;
+    }
+
+    /**
+     * @method validateEntries Validates imported entries, and the branches
+     *                          inside them.
+     * 
+     * @private to this class
+     * 
+     * @param {array} entries The imported entries, known to be an array.
+     */
+    validateEntries(entries) {
+        for (const entry of entries) {
             if (typeof entry != 'object' || entry == null) {
                 throw new HistoryError('An entry is not a valid object');
             }
-            if (typeof entry.start != 'number') {
-                throw new HistoryError('An entry start is not a number');
+            this.validateSelection(entry.selectionBefore);
+            this.validateSelection(entry.selectionAfter);
+            if (entry.actions === undefined) {
+                this.validateAction(entry);
+            } else if (
+                !(entry.actions instanceof Array)
+                || entry.actions.length == 0
+            ) {
+                throw new HistoryError('An entry actions is not an Array');
+            } else {
+                for (const action of entry.actions) {
+                    if (typeof action != 'object' || action == null) {
+                        throw new HistoryError('An action is not an object');
+                    }
+                    this.validateAction(action);
+                    this.validateSelection(action.selectionBefore);
+                    this.validateSelection(action.selectionAfter);
+                }
+            }
+            if (entry.branches === undefined) {
+                continue;
             }
-            if (typeof entry.oldText != 'string') {
-                throw new HistoryError('An entry oldText is not string');
+            if (!(entry.branches instanceof Array)) {
+                throw new HistoryError('An entry branches is not an Array');
             }
-            if (typeof entry.newText != 'string') {
-                throw new HistoryError('An entry newText is not string');
+            for (const branch of entry.branches) {
+                if (!(branch instanceof Array) || branch.length == 0) {
+                    throw new HistoryError('A branch is not an Array');
+                }
+                this.validateEntries(branch);
             }
         }
-        if (data.cursor < 0 || data.cursor > data.entries.length) {
-            throw new HistoryError('Cursor is too far');
+    }
+
+    /**
+     * @method importEntries Adds imported entries as a sequence of nodes,
+     *                          followed by redo, and their branches as other
+     *                          children of the same nodes.
+     * 
+     * @private to this class
+     * 
+     * @param {object} parent The node the first entry is done from.
+     * @param {array} entries The validated entries.
+     */
+    importEntries(parent, entries) {
+        let node = parent;
+        for (const entry of entries) {
+            const child = this.createNode(this.copyEntry(entry), node);
+            node.children.push(child);
+            this.size++;
+            for (const branch of entry.branches || []) {
+                this.importEntries(node, branch);
+            }
+            node.selected = node.children.indexOf(child);
+            node = child;
+        }
+    }
+
+    /**
+     * @method validateAction Validates the fields of an imported action.
+     * 
+     * @private to this class
+     * 
+     * @param {object} action The imported action, known to be an object.
+     */
+    validateAction(action) {
+        if (typeof action.start != 'number') {
+            throw new HistoryError('An entry start is not a number');
+        }
+        if (typeof action.oldText != 'string') {
+            throw new HistoryError('An entry oldText is not string');
+        }
+        if (typeof action.newText != 'string') {
+            throw new HistoryError('An entry newText is not string');
+        }
+    }
+
+    /**
+     * @method validateSelection Validates an optional selection of an imported
+     *                              entry.
+     * 
+     * @private to this class
+     * 
+     * @param {object} selection The imported selection, possibly undefined.
+     */
+    validateSelection(selection) {
+        if (selection === undefined) {
+            return;
+        }
+        if (typeof selection != 'object' || selection == null) {
+            throw new HistoryError('An entry selection is not an object');
+        }
+        if (
+            typeof selection.start != 'number'
+            || typeof selection.end != 'number'
+        ) {
+            throw new HistoryError('An entry selection is not a range');
         }
-        this.cursor = data.cursor | 0;
-        this.entries = data.entries.map(action => Object.assign({}, action));
+    }
+
+    /**
+     * @method copyEntry Copies an entry, so history does not share it with
+     *                      external code.
+     * 
+     * @private to this class
+     * 
+     * @param {object} entry The entry being copied.
+     * @returns {object} The copy.
+     */
+    copyEntry(entry) {
+        const copy = Object.assign({}, entry);
+        delete copy.branches;
+        if (entry.actions !== undefined) {
+            copy.actions = entry.actions.map(action => this.copyEntry(action));
+        }
+        if (entry.selectionBefore !== undefined) {
+            copy.selectionBefore = Object.assign({}, entry.selectionBefore);
+        }
+        if (entry.selectionAfter !== undefined) {
+            copy.selectionAfter = Object.assign({}, entry.selectionAfter);
+        }
+        return copy;
     }
 
     /**
      * @method export Exports history as a plain JS object, with intention of
-     *                  being serialized.
+     *                  being serialized, in the format accepted by import:
+     *                  entries are the ones followed by redo from the oldest
+     *                  state, and the other branches are inside them.
      * 
-     * @returns a JavaScript object with exported data for serialization.
+     * @param {object} options Optional, in the format:
+     *                          {
+     *                              content: string,
+     *                              mergeRuns: boolean,
+     *                              compress: boolean,
+     *                              maxBytes: number
+     *                          }
+     *                          where content is the source code, whose
+     *                          fingerprint is then exported, mergeRuns
+     *                          merges consecutive entries inserting or
+     *                          deleting adjacent text, compress replaces
+     *                          the cursor, entries and fingerprint by their
+     *                          compressed JSON, and maxBytes limits the size
+     *                          of the exported data as JSON encoded in UTF-8,
+     *                          leaving out the oldest entries, and then the
+     *                          newest undone ones, as needed. Every field is
+     *                          optional, by default nothing is merged nor
+     *                          compressed, and the size is not limited.
+     * @returns a JavaScript object with exported data for serialization, in
+     *          the format { version, cursor, entries, fingerprint }, or
+     *          { version, compressed } if compressed, where fingerprint is
+     *          present only if the content was given. The same object is
+     *          returned again while history, the content and the other
+     *          options do not change, so it must not be modified.
      */
-    export() {
-        return { cursor: this.cursor, entries: this.entries };
+    export(options) {
+        options = options || {};
+        const key = JSON.stringify([
+            options.mergeRuns,
+            options.compress,
+            options.maxBytes,
+        ]);
+        const exported = this.exported;
+        if (
+            exported !== undefined
+            && exported.revision == this.revision
+            && exported.key == key
+            && exported.content === options.content
+        ) {
+            return exported.data;
+        }
+        const data = this.exportData(options);
+        this.exported = {
+            revision: this.revision,
+            key,
+            content: options.content,
+            data,
+        };
+        return data;
+    }
+
+    /**
+     * @method exportData Exports history as done by export, without reusing
+     *                      the last export.
+     * 
+     * @private to this class
+     * 
+     * @param {object} options In the format of export's options.
+     * @returns The exported data, in the format of export's result.
+     */
+    exportData(options) {
+        let cursor = 0;
+        for (let node = this.node; node !== this.root; node = node.parent) {
+            cursor++;
+        }
+        let entries = this.exportEntries(this.root);
+        if (options.mergeRuns) {
+            ({ cursor, entries } = this.mergeRuns(entries, cursor));
+        }
+
+        const fingerprint = (
+            options.content === undefined
+                ? undefined
+                : History.fingerprint(options.content)
+        );
+        const pack = (cursor, entries) => {
+            const data = { cursor, entries };
+            if (fingerprint !== undefined) {
+                data.fingerprint = fingerprint;
+            }
+            return (
+                options.compress
+                    ? {
+                        version: formatVersion,
+                        compressed: compress(JSON.stringify(data)),
+                    }
+                    : Object.assign({ version: formatVersion }, data)
+            );
+        };
+        const encoder = new TextEncoder();
+        const fits = data => (
+            encoder.encode(JSON.stringify(data)).length <= options.maxBytes
+        );
+        const full = pack(cursor, entries);
+        if (options.maxBytes === undefined || fits(full)) {
+            return full;
+        }
+
+        // Packs the data without a number of entries: first the oldest,
+        // then the newest undone ones.
+        const trim = count => (
+            count <= cursor
+                ? pack(cursor - count, entries.slice(count))
+                : pack(
+                    0,
+                    entries.slice(cursor, entries.length - (count - cursor))
+                )
+        );
+        let low = 1;
+        let high = entries.length;
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            if (fits(trim(middle))) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+        return trim(low);
+    }
+
+    /**
+     * @method mergeRuns Merges consecutive exported entries inserting or
+     *                      deleting adjacent text, as typing does, but never
+     *                      an undone entry into a done one.
+     * 
+     * @private to this class
+     * 
+     * @param {array} entries The exported entries.
+     * @param {number} cursor Optional, how many of the entries are done.
+     * @returns {object} In the format { cursor:number, entries:array }.
+     */
+    mergeRuns(entries, cursor) {
+        const merged = [];
+        let mergedCursor = 0;
+        for (const [i, entry] of entries.entries()) {
+            const last = merged[merged.length - 1];
+            if (entry.branches !== undefined) {
+                merged.push(Object.assign({}, entry, {
+                    branches: entry.branches.map(branch => (
+                        this.mergeRuns(branch).entries
+                    )),
+                }));
+            } else if (
+                last !== undefined
+                && i !== cursor
+                && this.isRun(last, entry)
+            ) {
+                const run = History.compose(last, entry);
+                for (const field of ['selectionBefore', 'branches']) {
+                    if (last[field] !== undefined) {
+                        run[field] = last[field];
+                    }
+                }
+                if (entry.selectionAfter !== undefined) {
+                    run.selectionAfter = entry.selectionAfter;
+                }
+                merged[merged.length - 1] = run;
+            } else {
+                merged.push(entry);
+            }
+            if (i + 1 === cursor) {
+                mergedCursor = merged.length;
+            }
+        }
+        return { cursor: mergedCursor, entries: merged };
+    }
+
+    /**
+     * @method isRun Tells whether an entry continues the insertion or
+     *                  deletion of another one.
+     * 
+     * @private to this class
+     * 
+     * @param {object} first The first entry.
+     * @param {object} second The entry done after the first one.
+     * @returns {boolean} Whether they can be merged.
+     */
+    isRun(first, second) {
+        if (first.actions !== undefined || second.actions !== undefined) {
+            return false;
+        }
+        const kind = this.kindOf(second);
+        if (kind != this.kindOf(first)) {
+            return false;
+        }
+        if (kind == 'insert') {
+            return second.start == first.start + first.newText.length;
+        }
+        if (kind == 'delete') {
+            return (
+                second.start + second.oldText.length == first.start
+                || second.start == first.start
+            );
+        }
+        return false;
+    }
+
+    /**
+     * @method exportEntries Exports the entries followed by redo from a node,
+     *                          each with the other branches leaving the same
+     *                          state, if any.
+     * 
+     * @private to this class
+     * 
+     * @param {object} node The node.
+     * @returns {array} The exported entries.
+     */
+    exportEntries(node) {
+        const entries = [];
+        while (node.children.length > 0) {
+            const next = node.children[node.selected];
+            const others = node.children.filter(child => child !== next);
+            entries.push(
+                others.length == 0
+                    ? next.entry
+                    : Object.assign({}, next.entry, {
+                        branches: others.map(other => (
+                            [other.entry].concat(this.exportEntries(other))
+                        )),
+                    })
+            );
+            node = next;
+        }
+        return entries;
     }
 
     /**
      * @method reset Clears history, making it empty again.
      */
     reset() {
-        this.cursor = 0;
-        this.entries = [];
+        this.root = this.createNode(undefined, null);
+        this.node = this.root;
+        this.size = 0;
+        this.fingerprint = undefined;
+        this.breakMerging();
+        this.revision++;
+    }
+
+    /**
+     * @method createNode Creates a node of the tree without children.
+     * 
+     * @private to this class
+     * 
+     * @param {object} entry The entry of the node.
+     * @param {object} parent The parent node, or null for the root.
+     * @returns {object} The node.
+     */
+    createNode(entry, parent) {
+        return { entry, parent, children: [], selected: 0 };
     }
 
     /**
-     * @method add Adds an action to history. If the cursor is not at the end,
-     *              undone actions are deleted.
+     * @method add Adds an action to history. If actions were undone, they are
+     *              kept in their branch, and the action starts a new one. If
+     *              a group is open, the action is added to the group's entry
+     *              instead.
      * 
      * @param {object} action In the format {
      *                                          start: int,
      *                                          oldText: string,
      *                                          newText: string,
+     *                                          selectionBefore: object,
+     *                                          selectionAfter: object,
      *                                       }
+     *                        where the selections are optional and in the
+     *                        format { start: int, end: int }. When given, they
+     *                        are restored on undo and redo, respectively.
+     * @param {boolean} merge Optional, whether the action was typed by the
+     *                          user, and so can be merged with the previous
+     *                          typed action. Consecutive insertions or
+     *                          deletions of single characters are merged,
+     *                          unless a word starts or too much time passes.
+     */
+    add(action, merge) {
+        const now = Date.now();
+        this.revision++;
+
+        if (this.group !== null) {
+            this.group.actions.push(action);
+            return;
+        }
+
+        if (merge && this.groupDepth == 0 && this.merge(action, now)) {
+            return;
+        }
+
+        let entry = action;
+        if (this.groupDepth > 0) {
+            entry = { actions: [action] };
+            if (this.groupSelection !== undefined) {
+                entry.selectionBefore = this.groupSelection;
+            }
+            this.group = entry;
+        }
+
+        const node = this.createNode(entry, this.node);
+        this.node.selected = this.node.children.push(node) - 1;
+        this.node = node;
+        this.size++;
+        this.prune();
+
+        if (merge && this.groupDepth == 0) {
+            this.lastTyped = { kind: this.kindOf(action), time: now };
+        } else {
+            this.lastTyped = null;
+        }
+    }
+
+    /**
+     * @method prune Forgets the oldest actions while history is over its
+     *                  limit, along with the branches leaving the states
+     *                  before them, but never the last done action.
+     * 
+     * @private to this class
      */
-    add(action) {
-        this.entries.splice(this.cursor);
-        this.entries.push(action);
-        this.cursor++;
-        if (this.entries.length >= this.limit) {
-            const newStart = this.entries.length - this.limit;
-            this.entries.splice(0, newStart);
-            this.cursor -= newStart;
+    prune() {
+        while (this.size > this.limit) {
+            const root = this.root;
+            const first = root.children[root.selected];
+            for (const child of root.children) {
+                if (child !== first) {
+                    this.size -= this.countNodes(child);
+                }
+            }
+            root.children = [first];
+            root.selected = 0;
+            if (this.size <= this.limit || first === this.node) {
+                return;
+            }
+            first.entry = undefined;
+            first.parent = null;
+            this.root = first;
+            this.size--;
         }
     }
 
+    /**
+     * @method countNodes Counts the nodes of a subtree.
+     * 
+     * @private to this class
+     * 
+     * @param {object} node The root of the subtree.
+     * @returns {number} The number of nodes, including the root.
+     */
+    countNodes(node) {
+        let count = 1;
+        for (const child of node.children) {
+            count += this.countNodes(child);
+        }
+        return count;
+    }
+
+    /**
+     * @method beginGroup Opens a group, such that every action added until
+     *                      the matching endGroup call is undone and redone as
+     *                      a single entry. Groups can be nested, in which case
+     *                      only the outermost one is effective.
+     * 
+     * @param {object} selection Optional, the selection before the group, in
+     *                              the format { start: int, end: int }.
+     */
+    beginGroup(selection) {
+        if (this.groupDepth == 0) {
+            this.breakMerging();
+            this.groupSelection = selection;
+        }
+        this.groupDepth++;
+    }
+
+    /**
+     * @method endGroup Closes the group opened by the last beginGroup call.
+     * 
+     * @param {object} selection Optional, the selection after the group, in
+     *                              the format { start: int, end: int }.
+     */
+    endGroup(selection) {
+        if (this.groupDepth == 0) {
+            return;
+        }
+        this.revision++;
+        this.groupDepth--;
+        if (this.groupDepth > 0) {
+            return;
+        }
+
+        const group = this.group;
+        if (group !== null && this.node.entry === group) {
+            if (selection !== undefined) {
+                group.selectionAfter = selection;
+            }
+            if (group.actions.length == 1) {
+                const entry = Object.assign({}, group.actions[0]);
+                if (group.selectionBefore !== undefined) {
+                    entry.selectionBefore = group.selectionBefore;
+                }
+                if (group.selectionAfter !== undefined) {
+                    entry.selectionAfter = group.selectionAfter;
+                }
+                this.node.entry = entry;
+            }
+        }
+        this.breakMerging();
+    }
+
+    /**
+     * @method breakMerging Prevents the next action from being merged into
+     *                          the current entry or group.
+     * 
+     * @private to this class
+     */
+    breakMerging() {
+        this.lastTyped = null;
+        this.group = null;
+    }
+
+    /**
+     * @method kindOf Classifies an action for merging purposes.
+     * 
+     * @private to this class
+     * 
+     * @param {object} action The action being classified.
+     * @returns {string} 'insert', 'delete' or 'replace'.
+     */
+    kindOf(action) {
+        if (action.oldText == '') {
+            return 'insert';
+        }
+        if (action.newText == '') {
+            return 'delete';
+        }
+        return 'replace';
+    }
+
+    /**
+     * @method merge Tries to merge a typed action into the last done entry,
+     *                  unless other entries were done after it and undone.
+     * 
+     * @private to this class
+     * 
+     * @param {object} action The typed action.
+     * @param {number} now Time when the action was added.
+     * @returns {boolean} Whether the action was merged.
+     */
+    merge(action, now) {
+        const last = this.lastTyped;
+        if (
+            last === null
+            || this.node === this.root
+            || this.node.children.length > 0
+            || now - last.time >= this.mergeTimeout
+        ) {
+            return false;
+        }
+
+        const kind = this.kindOf(action);
+        const prev = this.node.entry;
+        let before;
+        let after;
+
+        const continues = (
+            kind == last.kind
+            || (kind == 'insert' && last.kind == 'replace')
+        );
+        if (!continues) {
+            return false;
+        }
+
+        if (kind == 'insert') {
+            if (
+                action.newText.length != 1
+                || action.start != prev.start + prev.newText.length
+            ) {
+                return false;
+            }
+            before = prev.newText[prev.newText.length - 1];
+            after = action.newText;
+        } else if (kind == 'delete') {
+            if (action.oldText.length != 1) {
+                return false;
+            }
+            if (action.start + 1 == prev.start) {
+                before = action.oldText;
+                after = prev.oldText[0];
+            } else if (action.start == prev.start) {
+                before = prev.oldText[prev.oldText.length - 1];
+                after = action.oldText;
+            } else {
+                return false;
+            }
+        } else {
+            return false;
+        }
+
+        if (/\w/.test(after) && !/\w/.test(before)) {
+            return false;
+        }
+
+        const merged = History.compose(prev, action);
+        if (prev.selectionBefore !== undefined) {
+            merged.selectionBefore = prev.selectionBefore;
+        }
+        if (action.selectionAfter !== undefined) {
+            merged.selectionAfter = action.selectionAfter;
+        }
+        this.node.entry = merged;
+        this.lastTyped = { kind, time: now };
+        return true;
+    }
+
     /**
      * @method apply Applies an action to source code.
      * @param {object} action In the format {
@@ -153,10 +1253,23 @@ export class History {
      *                                          oldText: string,
      *                                          newText: string,
      *                                       }
-     * @param {HTMLTextAreaElement} target The element whose text will be
-     *                                      modified.
+     *                        or a group in the format { actions: array }.
+     * @param {object} target The text modified, with the value,
+     *                        selectionStart and selectionEnd fields of a
+     *                        textarea, e.g. a TextBuffer.
+     * @returns {object} The given action, or for groups, a single action
+     *                      covering the changes of all grouped actions.
      */
     apply(action, target) {
+        if (action.actions !== undefined) {
+            const oldText = target.value;
+            for (const member of action.actions) {
+                this.apply(member, target);
+            }
+            this.select(action.selectionAfter, target);
+            return History.diff(oldText, target.value);
+        }
+
         const end = action.start + action.oldText.length;
         const prev = target.value.substring(0, action.start);
         const next = target.value.substring(end);
@@ -165,6 +1278,9 @@ export class History {
         const newPosition = action.start + action.newText.length;
         target.selectionStart = newPosition;
         target.selectionEnd = newPosition;
+        this.select(action.selectionAfter, target);
+
+        return action;
     }
 
     /**
@@ -176,10 +1292,24 @@ export class History {
      *                                          oldText: string,
      *                                          newText: string,
      *                                       }
-     * @param {HTMLTextAreaElement} target The element whose text will be
-     *                                      modified.
+     *                        or a group in the format { actions: array }, in
+     *                        which case actions are reversed from last to
+     *                        first.
+     * @param {object} target The text modified, with the value,
+     *                        selectionStart and selectionEnd fields of a
+     *                        textarea, e.g. a TextBuffer.
+     * @returns {object} The reversed action, i.e. the one effectively applied.
      */
     applyRev(action, target) {
+        if (action.actions !== undefined) {
+            const oldText = target.value;
+            for (let i = action.actions.length - 1; i >= 0; i--) {
+                this.applyRev(action.actions[i], target);
+            }
+            this.select(action.selectionBefore, target);
+            return History.diff(oldText, target.value);
+        }
+
         const end = action.start + action.newText.length;
         const prev = target.value.substring(0, action.start);
         const next = target.value.substring(end);
@@ -188,5 +1318,29 @@ export class History {
         const newPosition = action.start + action.oldText.length;
         target.selectionStart = newPosition;
         target.selectionEnd = newPosition;
+        this.select(action.selectionBefore, target);
+
+        return {
+            start: action.start,
+            oldText: action.newText,
+            newText: action.oldText,
+        };
+    }
+
+    /**
+     * @method select Restores a selection recorded in an entry, if any.
+     * 
+     * @private to this class
+     * 
+     * @param {object} selection The recorded selection in the format
+     *                              { start: int, end: int }, or undefined.
+     * @param {object} target The text whose selection is modified, as
+     *                        given to apply.
+     */
+    select(selection, target) {
+        if (selection !== undefined) {
+            target.selectionStart = selection.start;
+            target.selectionEnd = selection.end;
+        }
     }
 }
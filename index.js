@@ -1,12 +1,43 @@
 import { Highlighter } from './highlighter.js';
 import { History, HistoryError } from './history.js';
+import { Gutter } from './gutter.js';
+import { Search } from './search.js';
+import { Keymap, KeymapError } from './keymap.js';
+import { FoldedBuffer } from './folding.js';
+import { EditorCore, TextBuffer } from './core.js';
+import { EditorDocument, DocumentError } from './document.js';
+import { parseSnippet } from './snippets.js';
+import {
+    CompletionPopup,
+    keywordProvider,
+    identifierProvider,
+} from './completion.js';
+import {
+    settle,
+    CallbackStorage,
+    MemoryStorage,
+    LocalStorage,
+    IndexedDBStorage,
+} from './storage.js';
 
-export { Highlighter };
+export {
+    EditorCore,
+    TextBuffer,
+    Highlighter,
+    MemoryStorage,
+    LocalStorage,
+    IndexedDBStorage,
+    DocumentError,
+    keywordProvider,
+    identifierProvider,
+};
 
 /**
- * @class Editor implements the whole editor logic.
+ * @class Editor implements the editor displayed in the DOM, as a view over
+ *              the editing logic of EditorCore: the source code is kept in
+ *              the textarea, and displayed highlighted in the pre.
  */
-export class Editor {
+export class Editor extends EditorCore {
     /**
      * @constructor Constructs an editor from given customization.
      * 
@@ -22,45 +53,240 @@ export class Editor {
      *                            currLineSpan: HTMLSpanElement,
      *                            // Element where column number is displayed.
      *                            currColumnSpan: HTMLSpanElement,
+     *                            // Element where every line number is
+     *                            // displayed, along with markers folding
+     *                            // and unfolding bracketed regions when
+     *                            // clicked. Optional.
+     *                            gutter: HTMLElement,
+     *                            // Element where the messages of diagnostics
+     *                            // at the cursor are displayed. Optional.
+     *                            currDiagnosticSpan: HTMLSpanElement,
+     *                            // Element where completion candidates are
+     *                            // displayed, absolutely positioned in the
+     *                            // same container as targetPre. Optional,
+     *                            // completion is disabled without it.
+     *                            completionPopup: HTMLElement,
+     *                            // Whether completion opens when a word
+     *                            // character is typed, besides Ctrl+Space.
+     *                            // Optional, default false.
+     *                            autoComplete: boolean,
      *                            // Highlighter created with desired rules.
      *                            highlighter: Highlighter,
-     *                            // A function that saves source code in some
-     *                            // storage.
-     *                            saveCode: function(string) -> (),
-     *                            // A function that loads source code from some
-     *                            // storage.
-     *                            loadCode: function() -> string,
-     *                            // A function that saves history data in some
-     *                            // storage.
-     *                            saveCodeHist: function(object) -> (),
-     *                            // A function that loads history data from
-     *                            // some storage.
-     *                            loadCodeHist: function() -> object
+     *                            // Editing settings of the language, in the
+     *                            // format:
+     *                            // {
+     *                            //     // Characters automatically paired
+     *                            //     // when typed. Optional, default
+     *                            //     // (), [], {} and "".
+     *                            //     pairs: [{ open: string,
+     *                            //               close: string }],
+     *                            //     // Token starting a comment that
+     *                            //     // ends with the line. Optional.
+     *                            //     lineComment: string,
+     *                            //     // Tokens around a block comment.
+     *                            //     // Optional.
+     *                            //     blockComment: { open: string,
+     *                            //                     close: string },
+     *                            //     // Functions returning completion
+     *                            //     // candidates, as described in
+     *                            //     // completion.js. Optional, default
+     *                            //     // the words of the highlighter's
+     *                            //     // rules and the identifiers in the
+     *                            //     // code.
+     *                            //     completionProviders: [function],
+     *                            //     // Snippets expanded by Tab, as
+     *                            //     // described in snippets.js.
+     *                            //     // Optional.
+     *                            //     snippets: [{ prefix: string,
+     *                            //                  body: string }]
+     *                            // }
+     *                            // Optional.
+     *                            language: object,
+     *                            // Storage adapter keeping the code and its
+     *                            // history, either synchronous or
+     *                            // Promise-based, such as MemoryStorage,
+     *                            // LocalStorage or IndexedDBStorage.
+     *                            // Optional, the save and load functions
+     *                            // below are used by default.
+     *                            storage: {
+     *                                load: function(string) -> any,
+     *                                save: function(string, any) -> ()
+     *                            },
+     *                            // Id of the document initially open, under
+     *                            // which it is kept in storage. Optional,
+     *                            // default ''.
+     *                            documentId: string,
+     *                            // Idle time in milliseconds after the last
+     *                            // change before it is saved. Zero saves
+     *                            // right after every change. Optional,
+     *                            // default 0.
+     *                            autosaveDelay: number,
+     *                            // A function that saves source code of a
+     *                            // document in some storage.
+     *                            saveCode: function(string, documentId)
+     *                                          -> (),
+     *                            // A function that loads source code of a
+     *                            // document from some storage.
+     *                            loadCode: function(documentId) -> string,
+     *                            // A function that saves history data of a
+     *                            // document in some storage.
+     *                            saveCodeHist: function(object, documentId)
+     *                                              -> (),
+     *                            // A function that loads history data of a
+     *                            // document from some storage.
+     *                            loadCodeHist: function(documentId) -> object
      *                                              throws SyntaxError,
      *                            // A function that handles key events for
-     *                            // custom behaviour.
+     *                            // custom behaviour, called only for the key
+     *                            // events no command handled.
      *                            handleKey: function(KeyboardEvent, Editor)
      *                                          -> (),
+     *                            // Maps key chords to command names, or to
+     *                            // null for unbinding a default chord, e.g.
+     *                            // { 'Mod+K Mod+C': 'myCommand',
+     *                            //   'Mod+D': null }
+     *                            // where Mod is Cmd on macOS and Ctrl
+     *                            // elsewhere. Optional.
+     *                            keymap: object,
+     *                            // Whether Mod means Cmd. Optional, detected
+     *                            // from the browser by default.
+     *                            isMac: boolean,
+     *                            // A function that displays a search panel,
+     *                            // called on Ctrl+F, or Ctrl+H when replacing
+     *                            // is requested. Optional.
+     *                            openSearchPanel: function(Editor, {
+     *                                              query: string,
+     *                                              replace: boolean
+     *                                          }) -> (),
      *                            // History limit. Optional, default 5000.
-     *                            historyLimit: number.
+     *                            historyLimit: number,
+     *                            // Idle time in milliseconds after which typed
+     *                            // characters are no longer merged in a single
+     *                            // history entry. Zero disables merging.
+     *                            // Optional, default 1000.
+     *                            historyMergeTimeout: number,
+     *                            // How history data is saved, as in the
+     *                            // options of History's export, e.g.
+     *                            // { mergeRuns: true, compress: true,
+     *                            //   maxBytes: 1000000 }
+     *                            // Optional, by default nothing is merged
+     *                            // nor compressed and the size is not
+     *                            // limited.
+     *                            historyFormat: object,
+     *                            // What is done when the history of a
+     *                            // document was saved along with other code
+     *                            // than the loaded one, e.g. code changed
+     *                            // by another program: 'reset' clears it,
+     *                            // 'rebase' moves its done entries by the
+     *                            // change, forgetting the ones touching the
+     *                            // changed lines and older. A function is
+     *                            // given the mismatch and returns either.
+     *                            // Optional, default 'rebase'.
+     *                            historyMismatch: 'reset' | 'rebase' |
+     *                                              function({
+     *                                                  documentId: string,
+     *                                                  content: string,
+     *                                                  history: History
+     *                                              }) -> string,
+     *                            // Indentation level, either a number of
+     *                            // spaces or a string such as '\t'.
+     *                            // Optional, default 4.
+     *                            indentUnit: number | string.
      *                        }
      */
     constructor(params) {
+        // The source code is the textarea's text with folded regions
+        // expanded.
+        super(Object.assign({}, params, {
+            buffer: new FoldedBuffer(params.targetTextArea),
+        }));
         this.document = params.document || document;
         this.targetTextArea = params.targetTextArea;
         this.targetPre = params.targetPre;
         this.currLineSpan = params.currLineSpan;
         this.currColumnSpan = params.currColumnSpan;
+        this.currDiagnosticSpan = params.currDiagnosticSpan;
+        this.gutter = (
+            params.gutter
+                ? new Gutter(
+                    params.gutter,
+                    this.document,
+                    line => this.toggleFoldAtLine(line)
+                )
+                : undefined
+        );
         this.highlighter = params.highlighter;
-        this.saveCode = params.saveCode;
-        this.loadCode = params.loadCode;
-        this.saveCodeHist = params.saveCodeHist;
-        this.loadCodeHist = params.loadCodeHist;
+        this.completionProviders = (
+            this.language.completionProviders || [
+                keywordProvider(this.highlighter),
+                identifierProvider(),
+            ]
+        ).slice();
+        this.completionPopup = (
+            params.completionPopup
+                ? new CompletionPopup(
+                    params.completionPopup,
+                    this.document,
+                    index => this.acceptCompletion(index)
+                )
+                : undefined
+        );
+        this.autoComplete = params.autoComplete || false;
+        // The completion being chosen, if any, in the format:
+        // { start:number, candidates:array, selected:number }
+        // where start is where the completed word starts.
+        this.completion = undefined;
+        // The snippet whose tab stops are being visited, if any, in the
+        // format of parseSnippet's result, with ranges relative to text,
+        // and current as the index of the stop selected.
+        this.snippet = undefined;
+        this.storage = params.storage || new CallbackStorage(params);
+        this.autosaveDelay = params.autosaveDelay || 0;
+        // Timeout of the next autosave, if scheduled.
+        this.autosaveTimeout = undefined;
+        // Promises of the saves not settled yet.
+        this.pendingSaves = new Set();
+        // Maps event names to the listeners registered for them.
+        this.listeners = new Map();
         this.customHandleKey = params.handleKey || (() => { });
+        this.openSearchPanel = params.openSearchPanel;
+        this.keymap = new Keymap(
+            params.keymap,
+            params.isMac === undefined ? this.detectMac() : params.isMac
+        );
+        // Maps command names to functions running them.
+        this.commands = new Map();
+        this.registerBuiltinCommands();
         this.prevState = { selectionStart: 0, selectionEnd: 0, content: '' };
-        this.history = new History(params.historyLimit);
+        // Diagnostics in the format
+        // { start:number, end:number, severity:string, message:string },
+        // with positions relative to diagnosticsText.
+        this.diagnosticMarkers = [];
+        this.diagnosticsText = '';
+        // The last search, whose matches are displayed, if any.
+        this.search = undefined;
+        // Lines last displayed by the gutter, in the format
+        // { content:string, visible:string, lineStarts:array }
+        // where visible is the textarea's text they were computed from.
+        this.gutterLayout = undefined;
+        this.historyFormat = params.historyFormat || {};
+        this.historyMismatch = params.historyMismatch || 'rebase';
+        // The document displayed, whose state is kept by the editor's own
+        // fields, and every open document by id, whose state is kept by
+        // their objects while not displayed.
+        this.activeDocument = new EditorDocument(
+            params.documentId || '',
+            this.content,
+            this.history
+        );
+        this.documents = new Map();
+        this.documents.set(this.activeDocument.id, this.activeDocument);
 
         this.refreshPrevState();
+        // Content and selections as of the last change, detected when
+        // content is refreshed.
+        this.knownContent = this.content;
+        this.knownSelections = this.selections;
 
         this.targetTextArea.addEventListener('selectionchange', evt => {
             this.refreshContent();
@@ -71,205 +297,1736 @@ export class Editor {
         });
 
         this.targetTextArea.addEventListener('scroll', evt => {
-            this.refreshPosition();
+            this.syncScroll();
+        });
+
+        this.targetTextArea.addEventListener('input', evt => {
+            this.handleUserEdit(evt);
+        });
+
+        this.targetTextArea.addEventListener('mousedown', evt => {
+            this.handleMouseDown(evt);
+        });
+
+        this.targetTextArea.addEventListener('copy', evt => {
+            this.handleCopy(evt, false);
+        });
+
+        this.targetTextArea.addEventListener('cut', evt => {
+            this.handleCopy(evt, true);
+        });
+
+        this.targetTextArea.addEventListener('click', evt => {
+            this.refreshContent();
+        });
+    }
+
+    /**
+     * @method on Registers a listener of an editor event. The events are:
+     *              'change', emitted after the source code changes;
+     *              'undo' and 'redo', emitted after an action is undone or
+     *              redone, following the 'change' event;
+     *              with payloads in the format:
+     *              {
+     *                  action: { start:number, oldText:string,
+     *                              newText:string }
+     *              }
+     *              where the action is the one applied to the source code;
+     *              'selectionChange', emitted after any selection changes,
+     *              with a payload in the format:
+     *              {
+     *                  selections: [{ start:number, end:number,
+     *                                  primary:boolean }]
+     *              }
+     *              in the format of the selections field;
+     *              'load', emitted after a document is loaded from storage,
+     *              with a payload in the format:
+     *              { documentId:string, content:string };
+     *              'highlight', emitted after the displayed code is
+     *              highlighted, with a payload in the format:
+     *              {
+     *                  action: { start:number, oldText:string,
+     *                              newText:string }
+     *              }
+     *              where the action is the edit of the displayed text that
+     *              was highlighted, or undefined if it was not given.
+     * 
+     * @param {string} name The name of the event.
+     * @param {function} listener Called with the payload of the event.
+     */
+    on(name, listener) {
+        if (!this.listeners.has(name)) {
+            this.listeners.set(name, []);
+        }
+        this.listeners.get(name).push(listener);
+    }
+
+    /**
+     * @method off Unregisters a listener registered by on.
+     * 
+     * @param {string} name The name of the event.
+     * @param {function} listener The listener.
+     */
+    off(name, listener) {
+        const listeners = this.listeners.get(name) || [];
+        const index = listeners.indexOf(listener);
+        if (index >= 0) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method emit calls the listeners of an event.
+     * 
+     * @param {string} name The name of the event.
+     * @param {object} payload The payload given to listeners.
+     */
+    emit(name, payload) {
+        for (const listener of (this.listeners.get(name) || []).slice()) {
+            listener(payload);
+        }
+    }
+
+    /**
+     * @method registerCommand Registers a command that can be bound to keys
+     *                          through the keymap, replacing any command with
+     *                          the same name.
+     * 
+     * @param {string} name The name of the command.
+     * @param {function} command A function in the format:
+     *                              function(Editor, KeyboardEvent) -> boolean
+     *                           where the event is undefined if the command is
+     *                           not run by a key, and returning false means
+     *                           the command did nothing, such that the key
+     *                           keeps its default behaviour.
+     */
+    registerCommand(name, command) {
+        this.commands.set(name, command);
+    }
+
+    /**
+     * @method runCommand Runs a registered command.
+     * 
+     * @param {string} name The name of the command.
+     * @param {KeyboardEvent} evt Optional, the key event running the command.
+     * @returns {boolean} Whether the command did something.
+     * @throws {KeymapError} If no command is registered with the name.
+     */
+    runCommand(name, evt) {
+        const command = this.commands.get(name);
+        if (command === undefined) {
+            throw new KeymapError('Unknown command ' + name);
+        }
+        return command(this, evt) !== false;
+    }
+
+    /**
+     * @private for this class.
+     * 
+     * @method registerBuiltinCommands registers the commands bound to keys by
+     *                                 default.
+     */
+    registerBuiltinCommands() {
+        const builtins = {
+            indent: () => (
+                this.nextTabStop() || this.expandSnippet() || this.indent()
+            ),
+            outdent: () => this.previousTabStop() || this.indentLines(true),
+            expandSnippet: () => this.expandSnippet(),
+            nextTabStop: () => this.nextTabStop(),
+            previousTabStop: () => this.previousTabStop(),
+            toggleLineComment: () => this.toggleLineComment(),
+            toggleBlockComment: () => this.toggleBlockComment(),
+            fold: () => this.fold(this.selectionStart),
+            unfold: () => this.unfold(this.selectionStart),
+            foldAll: () => this.foldAll(),
+            unfoldAll: () => this.unfoldAll(),
+            newLine: () => this.newLine(),
+            deleteBackward: () => this.handleBackspace(),
+            escape: () => this.handleEscape(),
+            triggerCompletion: () => this.openCompletion(),
+            undo: () => this.undo(),
+            redo: () => this.redo(),
+            previousBranch: () => this.switchBranch(-1),
+            nextBranch: () => this.switchBranch(1),
+            selectNextOccurrence: () => this.selectNextOccurrence(),
+            jumpToMatchingBracket: () => this.jumpToMatchingBracket(),
+            find: () => this.handleFind(),
+            replace: () => this.handleReplace(),
+        };
+        for (const name in builtins) {
+            this.registerCommand(name, builtins[name]);
+        }
+    }
+
+    /**
+     * @private for this class.
+     * 
+     * @method detectMac detects whether the browser runs on macOS.
+     * 
+     * @returns {boolean} whether it runs on macOS.
+     */
+    detectMac() {
+        const window = this.document.defaultView;
+        return (
+            window !== null
+            && window !== undefined
+            && /Mac|iPhone|iPad/.test(window.navigator.platform)
+        );
+    }
+
+    /**
+     * @private for this class.
+     * 
+     * @method refreshPrevState refreshes previous cached state of input.
+     */
+    refreshPrevState() {
+        this.prevState.selectionStart = this.selectionStart;
+        this.prevState.selectionEnd = this.selectionEnd;
+        this.prevState.content = this.content;
+    }
+
+    /**
+     * @method changeSelection Sets selection start and end, unfolding the
+     *                          regions hiding them, then refreshes internal
+     *                          state.
+     * 
+     * @param {number} start The new selection start.
+     * @param {number} end The new selection end.
+     */
+    changeSelection(start, end) {
+        this.buffer.reveal(start, end);
+        super.changeSelection(start, end);
+    }
+
+    /**
+     * @method jumpToMatchingBracket Moves the cursor to the bracket matching
+     *                              the one it is before or after, staying on
+     *                              the same side of the bracket. If the cursor
+     *                              is not next to a bracket, moves it before
+     *                              the closing bracket around it.
+     * 
+     * @returns {boolean} Whether the cursor was moved.
+     */
+    jumpToMatchingBracket() {
+        // Brackets are found in the textarea, where folds are collapsed.
+        const cursor = this.targetTextArea.selectionStart;
+        const pairs = this.highlighter.bracketPairs(this.targetPre);
+        let target = undefined;
+
+        for (const pair of pairs) {
+            if (pair.open.start == cursor) {
+                target = pair.close.start;
+            } else if (pair.close.start == cursor) {
+                target = pair.open.start;
+            }
+        }
+        for (const pair of pairs) {
+            if (target !== undefined) {
+                break;
+            }
+            if (pair.close.end == cursor) {
+                target = pair.open.end;
+            } else if (pair.open.end == cursor) {
+                target = pair.close.end;
+            }
+        }
+        if (target === undefined) {
+            const around = pairs.filter(pair => (
+                pair.open.end <= cursor && cursor <= pair.close.start
+            )).pop();
+            if (around === undefined) {
+                return false;
+            }
+            target = around.close.start;
+        }
+
+        const position = this.buffer.toFull(target);
+        this.extraSelections = [];
+        this.changeSelection(position, position);
+        return true;
+    }
+
+    /**
+     * @method registerCompletionProvider Adds a function returning
+     *                                  completion candidates, after the
+     *                                  existing ones.
+     * 
+     * @param {function} provider A provider as described in completion.js.
+     */
+    registerCompletionProvider(provider) {
+        this.completionProviders.push(provider);
+    }
+
+    /**
+     * @method openCompletion Displays the completion candidates for the word
+     *                          before the cursor, which are then filtered as
+     *                          the word is typed.
+     * 
+     * @returns {boolean} Whether completion is enabled.
+     */
+    openCompletion() {
+        if (this.completionPopup === undefined) {
+            return false;
+        }
+        const content = this.content;
+        let start = this.selectionStart;
+        while (start > 0 && /\w/.test(content[start - 1])) {
+            start--;
+        }
+        this.completion = { start, candidates: [], selected: 0 };
+        this.refreshContent();
+        return true;
+    }
+
+    /**
+     * @method closeCompletion Hides the completion candidates, if displayed.
+     */
+    closeCompletion() {
+        if (this.completion !== undefined) {
+            this.completion = undefined;
+            this.completionPopup.hide();
+        }
+    }
+
+    /**
+     * @method acceptCompletion Replaces the word before every cursor by a
+     *                          completion candidate, as a single step in
+     *                          history, and hides the candidates.
+     * 
+     * @param {number} index Index of the candidate among the displayed ones.
+     */
+    acceptCompletion(index) {
+        const completion = this.completion;
+        if (completion === undefined) {
+            return;
+        }
+        const candidate = completion.candidates[index];
+        this.closeCompletion();
+        if (candidate === undefined) {
+            return;
+        }
+
+        const content = this.content;
+        const prefix = content.substring(completion.start, this.selectionStart);
+        this.editRanges(this.selections.map(selection => {
+            const start = selection.start - prefix.length;
+            if (
+                selection.start == selection.end
+                && start >= 0
+                && content.substring(start, selection.start) == prefix
+            ) {
+                return {
+                    start,
+                    end: selection.end,
+                    newText: candidate.insertText,
+                    primary: selection.primary,
+                };
+            }
+            const text = content.substring(selection.start, selection.end);
+            return {
+                start: selection.start,
+                end: selection.end,
+                newText: text,
+                primary: selection.primary,
+                cursor: 0,
+                selectionLength: text.length,
+            };
+        }));
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method updateCompletion filters the completion candidates by the word
+     *                          typed so far and displays them, or hides them
+     *                          if the cursor left the word or none matches.
+     */
+    updateCompletion() {
+        const completion = this.completion;
+        if (completion === undefined) {
+            return;
+        }
+        const content = this.content;
+        const position = this.selectionStart;
+        const prefix = content.substring(completion.start, position);
+        if (
+            position != this.selectionEnd
+            || position < completion.start
+            || !/^\w*$/.test(prefix)
+        ) {
+            this.closeCompletion();
+            return;
+        }
+
+        const selected = completion.candidates[completion.selected];
+        completion.candidates = this.completionCandidates(
+            content,
+            position,
+            prefix
+        );
+        if (completion.candidates.length == 0) {
+            this.closeCompletion();
+            return;
+        }
+        completion.selected = Math.max(0, completion.candidates.findIndex(
+            candidate => (
+                selected !== undefined && candidate.label == selected.label
+            )
+        ));
+        this.completionPopup.show(
+            completion.candidates,
+            completion.selected,
+            this.completionPosition()
+        );
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method completionCandidates asks every provider for candidates, and
+     *                              keeps the first one with each label that
+     *                              starts with the prefix, ignoring case.
+     * 
+     * @param {string} content The source code.
+     * @param {number} position The position of the cursor.
+     * @param {string} prefix The word before the cursor.
+     * @returns {array} candidates in the format:
+     *                  { label:string, insertText:string, detail:string }
+     *                  where detail is optional.
+     */
+    completionCandidates(content, position, prefix) {
+        const context = { content, position, prefix };
+        const lowerPrefix = prefix.toLowerCase();
+        const labels = new Set();
+        const candidates = [];
+
+        for (const provider of this.completionProviders) {
+            for (let candidate of provider(context)) {
+                if (typeof candidate == 'string') {
+                    candidate = { label: candidate };
+                }
+                const label = candidate.label;
+                if (
+                    labels.has(label)
+                    || label == prefix
+                    || !label.toLowerCase().startsWith(lowerPrefix)
+                ) {
+                    continue;
+                }
+                labels.add(label);
+                candidates.push({
+                    label,
+                    insertText: (
+                        candidate.insertText === undefined
+                            ? label
+                            : candidate.insertText
+                    ),
+                    detail: candidate.detail,
+                });
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method moveCompletion selects another completion candidate, wrapping
+     *                        around the ends of the list.
+     * 
+     * @param {number} offset How many candidates down, or up if negative.
+     */
+    moveCompletion(offset) {
+        const completion = this.completion;
+        const count = completion.candidates.length;
+        completion.selected = (completion.selected + offset + count) % count;
+        this.completionPopup.show(
+            completion.candidates,
+            completion.selected,
+            this.completionPosition()
+        );
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method completionPosition computes where the completion candidates
+     *                            are displayed: below the start of the
+     *                            completed word, as rendered in targetPre.
+     * 
+     * @returns {object} In pixels, in the format { top:number, left:number }.
+     */
+    completionPosition() {
+        const pre = this.targetPre;
+        const anchor = pre.querySelector('.completion-anchor');
+        if (anchor === null) {
+            return { top: 0, left: 0 };
+        }
+        let top = anchor.offsetTop + anchor.offsetHeight - pre.scrollTop;
+        let left = anchor.offsetLeft - pre.scrollLeft;
+        if (anchor.offsetParent === pre) {
+            top += pre.offsetTop;
+            left += pre.offsetLeft;
+        }
+        return { top, left };
+    }
+
+    /**
+     * @method expandSnippet Replaces the word before the cursor by the
+     *                        snippet of the language with it as prefix, if
+     *                        any, and selects the first tab stop.
+     * 
+     * @returns {boolean} Whether a snippet was expanded.
+     */
+    expandSnippet() {
+        const position = this.selectionStart;
+        if (
+            position != this.selectionEnd
+            || this.extraSelections.length > 0
+        ) {
+            return false;
+        }
+        const content = this.content;
+        let start = position;
+        while (start > 0 && /\w/.test(content[start - 1])) {
+            start--;
+        }
+        const prefix = content.substring(start, position);
+        const snippet = (this.language.snippets || []).find(
+            snippet => prefix != '' && snippet.prefix == prefix
+        );
+        if (snippet === undefined) {
+            return false;
+        }
+        this.insertSnippet(snippet.body, start, position);
+        return true;
+    }
+
+    /**
+     * @method insertSnippet Replaces a range of the source code by a snippet,
+     *                        as a single step in history, and selects its
+     *                        first tab stop. Lines of the snippet after the
+     *                        first are indented as the line of the range,
+     *                        and tabs are replaced by the indentation unit.
+     * 
+     * @param {string} body The body of the snippet, as described in
+     *                      snippets.js.
+     * @param {number} start Optional, the start of the range. Default the
+     *                          start of the selection.
+     * @param {number} end Optional, the end of the range. Default the end
+     *                      of the selection.
+     */
+    insertSnippet(body, start, end) {
+        start = start === undefined ? this.selectionStart : start;
+        end = end === undefined ? this.selectionEnd : end;
+        this.closeCompletion();
+        this.snippet = undefined;
+        this.extraSelections = [];
+
+        const content = this.content;
+        const lineStart = this.lineStartOf(start);
+        const indentation = /^[ \t]*/.exec(
+            content.substring(lineStart, start)
+        )[0];
+        const parsed = parseSnippet(
+            body.replace(/\t/g, this.indentUnit)
+                .replace(/\n/g, '\n' + indentation)
+        );
+        for (const stop of parsed.stops) {
+            for (const range of stop.ranges) {
+                range.start += start;
+                range.end += start;
+            }
+        }
+
+        const first = parsed.stops[0].ranges[0];
+        const action = {
+            start,
+            oldText: content.substring(start, end),
+            newText: parsed.text,
+            selectionBefore: this.selection,
+            selectionAfter: { start: first.start, end: first.end },
+        };
+        this.history.add(action);
+        this.history.apply(action, this.buffer);
+        this.handleHistoryChange();
+        this.snippet = Object.assign(parsed, {
+            text: this.content,
+            current: 0,
         });
+        this.selectTabStop(0);
+        this.refreshContent(action);
+    }
+
+    /**
+     * @method nextTabStop Selects the next tab stop of the snippet being
+     *                      visited, every occurrence of it if mirrored. The
+     *                      snippet is no longer visited once its final stop
+     *                      is reached, or if the cursor left it.
+     * 
+     * @returns {boolean} Whether a snippet was being visited.
+     */
+    nextTabStop() {
+        if (!this.isInSnippet()) {
+            return false;
+        }
+        this.selectTabStop(this.snippet.current + 1);
+        this.refreshContent();
+        return true;
+    }
+
+    /**
+     * @method previousTabStop Selects the previous tab stop of the snippet
+     *                          being visited, if not at the first one.
+     * 
+     * @returns {boolean} Whether a snippet was being visited.
+     */
+    previousTabStop() {
+        if (!this.isInSnippet()) {
+            return false;
+        }
+        if (this.snippet.current > 0) {
+            this.selectTabStop(this.snippet.current - 1);
+            this.refreshContent();
+        }
+        return true;
+    }
+
+    /**
+     * @method endSnippet Stops visiting the tab stops of a snippet, leaving
+     *                      the selections as they are.
+     */
+    endSnippet() {
+        this.snippet = undefined;
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method isInSnippet tells whether a snippet is being visited and the
+     *                      cursor is still in it, stopping visiting it
+     *                      otherwise.
+     * 
+     * @returns {boolean} Whether the snippet is still visited.
+     */
+    isInSnippet() {
+        const snippet = this.snippet;
+        if (snippet === undefined) {
+            return false;
+        }
+        const ranges = snippet.stops.flatMap(stop => stop.ranges);
+        const start = Math.min(...ranges.map(range => range.start));
+        const end = Math.max(...ranges.map(range => range.end));
+        if (this.selectionStart < start || this.selectionEnd > end) {
+            this.endSnippet();
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method selectTabStop selects every occurrence of a tab stop of the
+     *                        snippet being visited, the first one as the
+     *                        textarea's selection, and stops visiting the
+     *                        snippet if it is the final stop. Content is not
+     *                        refreshed.
+     * 
+     * @param {number} index The index of the stop among the snippet's stops.
+     */
+    selectTabStop(index) {
+        const snippet = this.snippet;
+        const ranges = snippet.stops[index].ranges;
+        snippet.current = index;
+        this.buffer.selectionStart = ranges[0].start;
+        this.buffer.selectionEnd = ranges[0].end;
+        this.extraSelections = ranges.slice(1).map(range => ({
+            start: range.start,
+            end: range.end,
+        }));
+        if (index == snippet.stops.length - 1) {
+            this.endSnippet();
+        }
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method mapSnippet brings the tab stops of the snippet being visited up
+     *                    to date with the source code: occurrences of the
+     *                    current stop grow with text typed in them or at
+     *                    their ends, and the other stops move with text
+     *                    before them. The snippet is no longer visited if
+     *                    the action does not explain the change, or if it
+     *                    crosses the bounds of a stop.
+     * 
+     * @param {object} action Optional, action in the source code in the
+     *                        format:
+     *                        { start:number, oldText:string, newText:string }
+     */
+    mapSnippet(action) {
+        const snippet = this.snippet;
+        if (snippet === undefined) {
+            return;
+        }
+        const oldContent = snippet.text;
+        const content = this.content;
+        if (oldContent == content) {
+            return;
+        }
+        snippet.text = content;
+
+        if (!History.explains(action, oldContent, content)) {
+            this.endSnippet();
+            return;
+        }
+
+        const oldEnd = action.start + action.oldText.length;
+        const delta = action.newText.length - action.oldText.length;
+        const map = (range, isCurrent) => {
+            const isInside = (
+                action.start >= range.start
+                && oldEnd <= range.end
+                && (
+                    isCurrent
+                    || (action.start > range.start && oldEnd < range.end)
+                )
+            );
+            if (isInside) {
+                return { start: range.start, end: range.end + delta };
+            }
+            if (oldEnd <= range.start) {
+                return { start: range.start + delta, end: range.end + delta };
+            }
+            if (action.start >= range.end) {
+                return range;
+            }
+            return undefined;
+        };
+        for (const [i, stop] of snippet.stops.entries()) {
+            stop.ranges = stop.ranges.map(range => (
+                map(range, i == snippet.current)
+            ));
+            if (stop.ranges.includes(undefined)) {
+                this.endSnippet();
+                return;
+            }
+        }
+    }
+
+    /**
+     * @method setDiagnostics Replaces the diagnostics displayed on top of the
+     *                          source code, such as compile errors. They
+     *                          follow the text around them as it is edited,
+     *                          and are cleared when the text they cover is
+     *                          changed.
+     * 
+     * @param {array} diagnostics Diagnostics in the format:
+     *                              {
+     *                                  start: number,
+     *                                  end: number,
+     *                                  severity: 'error' | 'warning' | 'info',
+     *                                  message: string
+     *                              }
+     *                              where severity is optional, default
+     *                              'error'.
+     */
+    setDiagnostics(diagnostics) {
+        this.diagnosticMarkers = diagnostics.map(diagnostic => ({
+            start: diagnostic.start,
+            end: diagnostic.end,
+            severity: diagnostic.severity || 'error',
+            message: diagnostic.message,
+        }));
+        this.diagnosticsText = this.content;
+        this.refreshContent();
+    }
+
+    /**
+     * @returns The current diagnostics, in the format accepted by
+     *          setDiagnostics, with positions updated by edits.
+     */
+    get diagnostics() {
+        return this.diagnosticMarkers.map(
+            diagnostic => Object.assign({}, diagnostic)
+        );
+    }
+
+    /**
+     * @method diagnosticsAt Finds the diagnostics covering a position,
+     *                          including the ones ending at it.
+     * 
+     * @param {number} position A position in the source code.
+     * @returns {array} The diagnostics found, in the format of diagnostics.
+     */
+    diagnosticsAt(position) {
+        return this.diagnostics.filter(diagnostic => (
+            diagnostic.start <= position && position <= diagnostic.end
+        ));
+    }
+
+    /**
+     * @method find Searches the source code, displaying every match and
+     *              selecting the first one at or after the cursor, wrapping
+     *              around the end.
+     * 
+     * @param {string} query The text searched, or a RegEx source if the regex
+     *                          option is set.
+     * @param {object} options Optional, in the format:
+     *                          {
+     *                              regex: boolean,
+     *                              caseSensitive: boolean,
+     *                              wholeWord: boolean
+     *                          }
+     *                          where every field is optional, default false.
+     * @returns {object} The selected match in the format
+     *                   { start:number, end:number }, or undefined if there
+     *                   is none.
+     * @throws {SyntaxError} If the query is not a valid RegEx source, and the
+     *                          regex option is set.
+     */
+    find(query, options) {
+        this.search = new Search(query, options);
+        return this.selectMatch(this.selectionStart, false);
+    }
+
+    /**
+     * @method findNext Selects the match of the last search after the
+     *                  selection, or before it if backwards, wrapping around.
+     * 
+     * @param {boolean} backwards Optional, whether the previous match is
+     *                              selected instead.
+     * @returns {object} The selected match in the format
+     *                   { start:number, end:number }, or undefined if there
+     *                   is none.
+     */
+    findNext(backwards) {
+        if (this.search === undefined) {
+            return undefined;
+        }
+        return this.selectMatch(
+            backwards ? this.selectionStart : this.selectionEnd,
+            backwards
+        );
+    }
+
+    /**
+     * @method replace Replaces the selected match of the last search, then
+     *                  selects the next match. If no match is selected, the
+     *                  next one is just selected.
+     * 
+     * @param {string} replacement The text replacing the match, where $1, $&
+     *                              and such are expanded if the search is a
+     *                              RegEx.
+     * @returns {object} The selected match in the format
+     *                   { start:number, end:number }, or undefined if there
+     *                   is none.
+     */
+    replace(replacement) {
+        if (this.search === undefined) {
+            return undefined;
+        }
+
+        const match = this.currentMatch();
+        if (match === undefined) {
+            return this.findNext();
+        }
+
+        const newText = this.search.replacementOf(match, replacement);
+        const position = match.start + newText.length;
+        const action = {
+            start: match.start,
+            oldText: this.content.substring(match.start, match.end),
+            newText,
+            selectionBefore: { start: match.start, end: match.end },
+            selectionAfter: { start: position, end: position },
+        };
+        this.extraSelections = [];
+        this.editAction(action);
+        return this.findNext();
+    }
+
+    /**
+     * @method replaceAll Replaces every match of the last search, as a single
+     *                      step in history.
+     * 
+     * @param {string} replacement The text replacing the matches, where $1,
+     *                              $& and such are expanded if the search is
+     *                              a RegEx.
+     * @returns {number} How many matches were replaced.
+     */
+    replaceAll(replacement) {
+        if (this.search === undefined) {
+            return 0;
+        }
+
+        const content = this.content;
+        const matches = this.search.matches(content);
+        if (matches.length == 0) {
+            return 0;
+        }
+
+        const start = matches[0].start;
+        const end = matches[matches.length - 1].end;
+        let newText = '';
+        let position = start;
+        for (const match of matches) {
+            newText += content.substring(position, match.start);
+            newText += this.search.replacementOf(match, replacement);
+            position = match.end;
+        }
+        const cursor = start + newText.length;
+        const action = {
+            start,
+            oldText: content.substring(start, end),
+            newText,
+            selectionBefore: this.selection,
+            selectionAfter: { start: cursor, end: cursor },
+        };
+        this.extraSelections = [];
+        this.editAction(action);
+        return matches.length;
+    }
+
+    /**
+     * @method clearSearch Stops displaying the matches of the last search.
+     */
+    clearSearch() {
+        this.search = undefined;
+        this.refreshContent();
+    }
+
+    /**
+     * @returns The matches of the last search, sorted by start, in the format
+     *          { start:number, end:number }.
+     */
+    get searchMatches() {
+        if (this.search === undefined) {
+            return [];
+        }
+        return this.search.matches(this.content).map(match => ({
+            start: match.start,
+            end: match.end,
+        }));
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method selectMatch selects the first match of the last search starting
+     *                     at or after a position, or the last one ending at
+     *                     or before it if backwards, wrapping around.
+     * 
+     * @param {number} position the position where searching starts.
+     * @param {boolean} backwards whether searching goes backwards.
+     * @returns {object} The selected match in the format
+     *                   { start:number, end:number }, or undefined if there
+     *                   is none.
+     */
+    selectMatch(position, backwards) {
+        const matches = this.search.matches(this.content);
+        if (matches.length == 0) {
+            this.refreshContent();
+            return undefined;
+        }
+
+        let match;
+        if (backwards) {
+            match = matches.filter(match => match.end <= position).pop();
+            match = match || matches[matches.length - 1];
+        } else {
+            match = matches.find(match => match.start >= position);
+            match = match || matches[0];
+        }
+
+        this.extraSelections = [];
+        this.changeSelection(match.start, match.end);
+        return { start: match.start, end: match.end };
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method currentMatch finds the match of the last search equal to the
+     *                      selection.
+     * 
+     * @returns {object} The match in the format returned by Search's matches,
+     *                   or undefined if the selection is not a match.
+     */
+    currentMatch() {
+        const start = this.selectionStart;
+        const end = this.selectionEnd;
+        return this.search.matches(this.content).find(
+            match => match.start == start && match.end == end
+        );
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method openSearch starts a search for the selected text, if it is in a
+     *                    single line, and lets the search panel be displayed.
+     * 
+     * @param {boolean} replace whether replacing was requested.
+     */
+    openSearch(replace) {
+        const selected = this.content.substring(
+            this.selectionStart,
+            this.selectionEnd
+        );
+        let query = this.search === undefined ? '' : this.search.query;
+        if (selected != '' && !selected.includes('\n')) {
+            query = selected;
+            const options = (
+                this.search === undefined
+                    ? {}
+                    : Object.assign({}, this.search.options, { regex: false })
+            );
+            this.find(query, options);
+        }
+        this.openSearchPanel(this, { query, replace });
+    }
+
+    /**
+     * @returns The folded regions sorted by start, in the format
+     *          { start:number, end:number }.
+     */
+    get folds() {
+        return this.buffer.regions;
+    }
+
+    /**
+     * @method fold Folds the region between a pair of brackets spanning
+     *              multiple lines, replacing it by a placeholder. The region
+     *              is the first one opening in the line containing the
+     *              position, or else the innermost one containing it.
+     * 
+     * @param {number} position A position in the source code.
+     * @returns {boolean} Whether a region was folded.
+     */
+    fold(position) {
+        const lineStart = this.lineStartOf(position);
+        let lineEnd = this.content.indexOf('\n', position);
+        if (lineEnd < 0) {
+            lineEnd = this.content.length;
+        }
+
+        const regions = this.foldableRegions();
+        let region = regions.find(region => (
+            region.start >= lineStart && region.start <= lineEnd
+        ));
+        if (region === undefined) {
+            region = regions.filter(region => (
+                region.start <= position && position <= region.end
+            )).pop();
+        }
+        if (region === undefined) {
+            return false;
+        }
+
+        this.foldRegions([region]);
+        return true;
+    }
+
+    /**
+     * @method unfold Unfolds the folded regions in the line containing a
+     *                position.
+     * 
+     * @param {number} position A position in the source code.
+     * @returns {boolean} Whether some region was unfolded.
+     */
+    unfold(position) {
+        const lineStart = this.lineStartOf(position);
+        let lineEnd = this.content.indexOf('\n', position);
+        if (lineEnd < 0) {
+            lineEnd = this.content.length;
+        }
+        for (const region of this.buffer.regions) {
+            if (region.start <= lineEnd && region.end > lineEnd) {
+                lineEnd = region.end;
+                const next = this.content.indexOf('\n', lineEnd);
+                lineEnd = next < 0 ? this.content.length : next;
+            }
+        }
+
+        if (!this.buffer.unfold(lineStart, lineEnd)) {
+            return false;
+        }
+        this.refreshContent();
+        return true;
+    }
+
+    /**
+     * @method foldAll Folds every outermost region between a pair of brackets
+     *                  spanning multiple lines.
+     */
+    foldAll() {
+        let end = -1;
+        const outermost = this.foldableRegions().filter(region => {
+            if (region.start < end) {
+                return false;
+            }
+            end = region.end;
+            return true;
+        });
+        this.foldRegions(outermost);
+    }
+
+    /**
+     * @method unfoldAll Unfolds every folded region.
+     */
+    unfoldAll() {
+        if (this.buffer.unfold(0, this.content.length)) {
+            this.refreshContent();
+        }
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method toggleFoldAtLine unfolds the regions folded in a displayed line,
+     *                          or folds the first region opening in it.
+     * 
+     * @param {number} line index of the displayed line, starting from 0.
+     */
+    toggleFoldAtLine(line) {
+        const visible = this.targetTextArea.value;
+        let lineStart = 0;
+        for (let i = 0; i < line; i++) {
+            lineStart = visible.indexOf('\n', lineStart) + 1;
+        }
+        const position = this.buffer.toFull(lineStart);
+        if (!this.unfold(position)) {
+            this.fold(position);
+        }
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method foldRegions folds regions, moving extra selections out of them.
+     * 
+     * @param {array} regions regions in the format {start, end}.
+     */
+    foldRegions(regions) {
+        const clamp = position => {
+            const region = regions.find(region => (
+                position > region.start && position < region.end
+            ));
+            return region === undefined ? position : region.start;
+        };
+        this.extraSelections = this.extraSelections.map(selection => ({
+            start: clamp(selection.start),
+            end: clamp(selection.end),
+        }));
+        for (const region of regions) {
+            this.buffer.fold(region.start, region.end);
+        }
+        this.refreshContent();
+    }
 
-        this.targetTextArea.addEventListener('input', evt => {
-            this.handleUserEdit(evt);
-        });
+    /**
+     * @private to this class
+     * 
+     * @method foldableRegions finds the regions between pairs of brackets
+     *                         spanning multiple lines, as last highlighted.
+     * 
+     * @returns {array} regions sorted by start, in the format
+     *                  { start:number, end:number, visibleStart:number }
+     *                  where visibleStart is the start in the textarea.
+     */
+    foldableRegions() {
+        const visible = this.targetTextArea.value;
+        return this.highlighter.bracketPairs(this.targetPre)
+            .filter(pair => (
+                visible.substring(pair.open.end, pair.close.start)
+                    .includes('\n')
+            ))
+            .map(pair => ({
+                start: this.buffer.toFull(pair.open.end),
+                end: this.buffer.toFull(pair.close.start),
+                visibleStart: pair.open.end,
+            }));
+    }
 
-        this.targetTextArea.addEventListener('click', evt => {
-            this.refreshContent();
-        });
+    /**
+     * @method redo Redoes the current undone action, if any.
+     */
+    redo() {
+        this.endSnippet();
+        const action = super.redo();
+        if (action !== undefined) {
+            this.emit('redo', { action: this.plainAction(action) });
+        }
     }
 
     /**
-     * @private for this class.
-     * 
-     * @method refreshPrevState refreshes previous cached state of input.
+     * @method undo Undoes the previous action in history, if any.
      */
-    refreshPrevState() {
-        this.prevState.selectionStart = this.selectionStart;
-        this.prevState.selectionEnd = this.selectionEnd;
-        this.prevState.content = this.content;
+    undo() {
+        this.endSnippet();
+        const action = super.undo();
+        if (action !== undefined) {
+            this.emit('undo', { action: this.plainAction(action) });
+        }
     }
 
     /**
-     * @param {string} content new content.
+     * @method switchBranch Replaces the last action done by another one done
+     *                      from the same source code, as done by EditorCore.
+     * 
+     * @param {number} offset How many branches forward, or backwards if
+     *                          negative.
+     * @returns {boolean} Whether there was another branch.
      */
-    set content(value) {
-        this.targetTextArea.value = value;
-        this.refreshContent();
+    switchBranch(offset) {
+        this.endSnippet();
+        return super.switchBranch(offset);
     }
 
     /**
-     * @returns The user input contents.
+     * @private to this class
+     * 
+     * @method mapPositions moves diagnostics and the tab stops of the snippet,
+     *                      besides the state of the core, according to an
+     *                      action applied to the source code.
+     * 
+     * @param {object} action action in the source code in the format:
+     *                        { start:number, oldText:string, newText:string }
      */
-    get content() {
-        return this.targetTextArea.value;
+    mapPositions(action) {
+        super.mapPositions(action);
+        this.mapDiagnostics(action);
+        this.mapSnippet(action);
     }
 
     /**
-     * @returns The start position of user input contents' selection.
+     * @private to this class
+     * 
+     * @method handleHistoryChange schedules saving history after it changes.
      */
-    get selectionStart() {
-        return this.targetTextArea.selectionStart;
+    handleHistoryChange() {
+        this.scheduleSave('history');
     }
 
     /**
-     * @returns The end position of user input contents' selection.
+     * @private to this class
+     * 
+     * @method mapDiagnostics brings diagnostics up to date with the source
+     *                        code, moving the ones after an action and
+     *                        clearing the ones whose text it changed. If the
+     *                        action does not explain the change, every
+     *                        diagnostic is cleared.
+     * 
+     * @param {object} action Optional, action in the source code in the
+     *                        format:
+     *                        { start:number, oldText:string, newText:string }
      */
-    get selectionEnd() {
-        return this.targetTextArea.selectionEnd;
+    mapDiagnostics(action) {
+        const oldContent = this.diagnosticsText;
+        const content = this.content;
+        if (oldContent == content) {
+            return;
+        }
+        this.diagnosticsText = content;
+
+        if (!History.explains(action, oldContent, content)) {
+            this.diagnosticMarkers = [];
+            return;
+        }
+
+        const oldEnd = action.start + action.oldText.length;
+        const delta = action.newText.length - action.oldText.length;
+        this.diagnosticMarkers = this.diagnosticMarkers
+            .filter(diagnostic => !(
+                (action.start < diagnostic.end && oldEnd > diagnostic.start)
+                || (
+                    action.start > diagnostic.start
+                    && action.start < diagnostic.end
+                )
+            ))
+            .map(diagnostic => (
+                diagnostic.start >= oldEnd
+                    ? Object.assign(diagnostic, {
+                        start: diagnostic.start + delta,
+                        end: diagnostic.end + delta,
+                    })
+                    : diagnostic
+            ));
     }
 
     /**
-     * @param {number} value The new selection start.
+     * @method load Loads code and its history of the displayed document from
+     *              storage. If history data is missing or invalid, it is
+     *              resetted, and if it was saved along with other code, it
+     *              is reconciled as told by the historyMismatch parameter.
+     *              The loaded data is not dirty.
+     * 
+     * @returns {Promise} Resolving once loaded if the storage is
+     *                      Promise-based, otherwise undefined.
      */
-    set selectionStart(value) {
-        this.changeSelection(value, this.selectionEnd);
+    load() {
+        const doc = this.activeDocument;
+        return settle(
+            () => this.loadDocument(doc),
+            () => {
+                if (doc === this.activeDocument) {
+                    this.knownContent = doc.content;
+                    this.content = doc.content;
+                }
+                if (doc.unsaved.history) {
+                    this.autosave();
+                }
+                this.emit('load', {
+                    documentId: doc.id,
+                    content: doc.content,
+                });
+            }
+        );
     }
 
     /**
-     * @param {number} value The new selection end.
+     * @method openDocument Displays a document, which is loaded from storage
+     *                      first if it is not open yet. The document
+     *                      displayed before keeps its content, selections,
+     *                      scroll, folds, diagnostics and history.
+     * 
+     * @param {string} id The id of the document.
+     * @returns {Promise} Resolving once displayed if the storage is
+     *                      Promise-based and the document was not open,
+     *                      otherwise undefined.
      */
-    set selectionEnd(value) {
-        this.changeSelection(this.selectionStart, value);
+    openDocument(id) {
+        if (this.documents.has(id)) {
+            this.switchTo(id);
+            return undefined;
+        }
+
+        const history = new History(
+            this.historyLimit,
+            this.historyMergeTimeout
+        );
+        const doc = new EditorDocument(id, '', history);
+        return settle(
+            () => this.loadDocument(doc),
+            () => {
+                if (!this.documents.has(id)) {
+                    this.documents.set(id, doc);
+                }
+                this.switchTo(id);
+                if (doc.unsaved.history) {
+                    this.autosave();
+                }
+                this.emit('load', { documentId: id, content: doc.content });
+            }
+        );
     }
 
     /**
-     * @method changeSelection Sets selection start and end, then refreshes
-     *                          internal state.
+     * @method switchTo Displays a document already open.
      * 
-     * @param {number} start The new selection start.
-     * @param {number} end The new selection end.
+     * @param {string} id The id of the document.
+     * @throws {DocumentError} If the document is not open.
      */
-    changeSelection(start, end) {
-        this.targetTextArea.selectionStart = start;
-        this.targetTextArea.selectionEnd = end;
-        this.refreshContent();
+    switchTo(id) {
+        const doc = this.documents.get(id);
+        if (doc === undefined) {
+            throw new DocumentError('Document ' + id + ' is not open');
+        }
+        if (doc === this.activeDocument) {
+            return;
+        }
+
+        this.closeCompletion();
+        this.endSnippet();
+        this.stashDocument();
+        this.activeDocument = doc;
+        this.restoreDocument();
     }
 
     /**
-     * @method redo Redoes the current undone action, if any.
+     * @returns {string} The id of the document displayed.
      */
-    redo() {
-        this.history.redo(this.targetTextArea);
-        this.refreshContent();
+    get documentId() {
+        return this.activeDocument.id;
     }
 
     /**
-     * @method redo Undoes an the previous action in history, if any.
+     * @returns {array} The ids of the open documents, in opening order.
      */
-    undo() {
-        this.history.undo(this.targetTextArea);
-        this.refreshContent();
+    get documentIds() {
+        return Array.from(this.documents.keys());
     }
 
     /**
      * @private to this class
      * 
-     * @method addToHistory adds an action to code history.
+     * @method loadDocument loads the code and history of a document from
+     *                      storage into its object, marking history as not
+     *                      saved if it was resetted or rebased, in which
+     *                      case saving is left to the caller, once the code
+     *                      is displayed.
      * 
-     * @param {object} action action in the source code in the format:
-     *                        { start:number, oldText:string, newText:string }
+     * @param {EditorDocument} doc The document.
+     * @returns {Promise} Resolving once loaded if the storage is
+     *                      Promise-based, otherwise undefined.
      */
-    addToHistory(action) {
-        this.history.add(action);
-        this.saveHistory();
+    loadDocument(doc) {
+        const loadCode = () => settle(
+            () => this.storage.load('code', doc.id),
+            code => {
+                doc.content = code || '';
+                doc.diagnosticsText = doc.content;
+                doc.unsaved.code = false;
+                this.reconcileHistory(doc);
+            }
+        );
+        return settle(
+            () => settle(
+                () => this.storage.load('history', doc.id),
+                data => {
+                    if (data === undefined) {
+                        doc.history.reset();
+                    } else {
+                        doc.history.import(data);
+                    }
+                    doc.unsaved.history = false;
+                }
+            ),
+            loadCode,
+            error => {
+                if (
+                    error instanceof SyntaxError
+                    || error instanceof HistoryError
+                ) {
+                    doc.history.reset();
+                    doc.unsaved.history = true;
+                    return loadCode();
+                }
+                throw error;
+            }
+        );
     }
 
     /**
-     * @method apply applies an action to the source code.
+     * @private to this class
      * 
-     * @param {object} action action in the source code in the format:
-     *                        { start:number, oldText:string, newText:string }
+     * @method reconcileHistory resets or rebases the history of a document
+     *                          loaded from storage if it was saved along
+     *                          with other code, as chosen by the
+     *                          historyMismatch parameter, marking it as not
+     *                          saved.
+     * 
+     * @param {EditorDocument} doc The document.
      */
-    apply(action) {
-        this.history.apply(action, this.targetTextArea);
-        this.refreshContent();
+    reconcileHistory(doc) {
+        if (doc.history.matches(doc.content)) {
+            return;
+        }
+        let resolution = this.historyMismatch;
+        if (typeof resolution == 'function') {
+            resolution = resolution({
+                documentId: doc.id,
+                content: doc.content,
+                history: doc.history,
+            });
+        }
+        if (resolution == 'reset') {
+            doc.history.reset();
+        } else {
+            doc.history.rebase(doc.content);
+        }
+        doc.unsaved.history = true;
     }
 
     /**
-     * @method apply applies an action to the source code in reverse:
-     *                  oldText becomes newText and vice-versa.
+     * @private to this class
      * 
-     * @param {object} action action in the source code in the format:
-     *                        { start:number, oldText:string, newText:string }
+     * @method stashDocument copies the state of the displayed document from
+     *                      the editor into its object.
      */
-    applyRev(action) {
-        this.history.applyRev(action, this.targetTextArea);
-        this.refreshContent();
+    stashDocument() {
+        const doc = this.activeDocument;
+        doc.content = this.content;
+        doc.selection = { start: this.selectionStart, end: this.selectionEnd };
+        doc.extraSelections = this.extraSelections;
+        doc.scroll = {
+            top: this.targetTextArea.scrollTop,
+            left: this.targetTextArea.scrollLeft,
+        };
+        doc.folds = this.buffer.folds;
+        doc.diagnosticMarkers = this.diagnosticMarkers;
+        doc.diagnosticsText = this.diagnosticsText;
     }
 
     /**
-     * @method edit Edits currently selected text (even if empty).
+     * @private to this class
      * 
-     * @param {string} newText text replacing selected text.
+     * @method restoreDocument copies the state of the displayed document from
+     *                          its object into the editor.
      */
-    edit(newText) {
-        const start = this.selectionStart;
-        const end = this.selectionEnd;
-        const oldText = this.content.substring(start, end);
-        const action = { start, oldText, newText };
+    restoreDocument() {
+        const doc = this.activeDocument;
+        this.history = doc.history;
+        this.knownContent = doc.content;
+        this.buffer.replace(doc.content, doc.folds);
+        this.buffer.selectionStart = doc.selection.start;
+        this.buffer.selectionEnd = doc.selection.end;
+        this.extraSelections = doc.extraSelections;
+        this.diagnosticMarkers = doc.diagnosticMarkers;
+        this.diagnosticsText = doc.diagnosticsText;
+        this.targetTextArea.scrollTop = doc.scroll.top;
+        this.targetTextArea.scrollLeft = doc.scroll.left;
+        this.refreshContent();
+    }
 
-        this.addToHistory(action);
-        this.apply(action);
+    /**
+     * @method resetHistory resets history and then saves it.
+     */
+    resetHistory() {
+        this.history.reset();
+        this.scheduleSave('history');
     }
 
     /**
-     * @method load Loads code and its history from load functions. If history
-     *              data is invalid, it is resetted.
+     * @returns {boolean} Whether some change to the code or history of an
+     *                      open document was not saved yet, or is still
+     *                      being saved.
      */
-    load() {
-        try {
-            this.history.import(this.loadCodeHist());
-        } catch (error) {
-            if (error instanceof SyntaxError || error instanceof HistoryError) {
-                this.resetHistory();
-            } else {
-                throw error;
+    get isDirty() {
+        return (
+            Array.from(this.documents.values()).some(doc => (
+                doc.unsaved.code || doc.unsaved.history
+            ))
+            || this.pendingSaves.size > 0
+        );
+    }
+
+    /**
+     * @method flush Saves every change not saved yet of every open document
+     *              right away, instead of waiting for the autosave delay,
+     *              e.g. before the page is unloaded, and waits for the saves
+     *              still in progress.
+     * 
+     * @returns {Promise} Resolving once the storage saved the changes, or
+     *                      rejecting with the storage's first error once
+     *                      every change was tried, in which case the changes
+     *                      that failed stay dirty. Errors of synchronous
+     *                      storages are rejected too, never thrown.
+     */
+    flush() {
+        clearTimeout(this.autosaveTimeout);
+        this.autosaveTimeout = undefined;
+
+        const errors = [];
+        for (const doc of this.documents.values()) {
+            for (const part of ['code', 'history']) {
+                if (!doc.unsaved[part]) {
+                    continue;
+                }
+                doc.unsaved[part] = false;
+                let save;
+                try {
+                    const value = this.exportPart(doc, part);
+                    save = settle(
+                        () => this.storage.save(part, value, doc.id),
+                        () => undefined,
+                        error => {
+                            doc.unsaved[part] = true;
+                            throw error;
+                        }
+                    );
+                } catch (error) {
+                    doc.unsaved[part] = true;
+                    errors.push(error);
+                    continue;
+                }
+                if (save instanceof Promise) {
+                    const pending = save.finally(() => {
+                        this.pendingSaves.delete(pending);
+                    });
+                    this.pendingSaves.add(pending);
+                }
             }
         }
-        this.content = this.loadCode() || '';
+
+        // Also waits for the saves started before.
+        const settled = Array.from(this.pendingSaves, pending => (
+            pending.catch(error => {
+                errors.push(error);
+            })
+        ));
+        return Promise.all(settled).then(() => {
+            if (errors.length > 0) {
+                throw errors[0];
+            }
+        });
     }
 
     /**
-     * @method resetHistory resets history and then saves it.
+     * @private to this class
+     * 
+     * @method exportPart computes the data saved for a part of a document.
+     * 
+     * @param {EditorDocument} doc The document.
+     * @param {string} part Either 'code' or 'history'.
+     * @returns The source code, or the exported history data.
      */
-    resetHistory() {
-        this.history.reset();
-        this.saveHistory();
+    exportPart(doc, part) {
+        const content = (
+            doc === this.activeDocument
+                ? this.content
+                : doc.content
+        );
+        if (part == 'code') {
+            return content;
+        }
+        return doc.history.export(Object.assign(
+            {},
+            this.historyFormat,
+            { content }
+        ));
     }
 
     /**
      * @private to this class
      * 
-     * @method saveContent saves the code content using save function.
+     * @method scheduleSave marks a part of the data of the displayed document
+     *                      as changed, and autosaves it. History is saved
+     *                      along with code, since its data has the code's
+     *                      fingerprint.
+     * 
+     * @param {string} part Either 'code' or 'history'.
      */
-    saveContent() {
-        this.saveCode(this.content);
+    scheduleSave(part) {
+        this.activeDocument.unsaved[part] = true;
+        if (part == 'code') {
+            this.activeDocument.unsaved.history = true;
+        }
+        this.autosave();
     }
 
     /**
      * @private to this class
      * 
-     * @method saveHistory saves code history using save function.
+     * @method autosave saves changes after the autosave delay, or right away
+     *                  if there is no delay.
      */
-    saveHistory() {
-        this.saveCodeHist(this.history.export());
+    autosave() {
+        // A failed autosave leaves the data dirty, and is retried with the
+        // next change.
+        const save = () => this.flush().catch(() => { });
+        if (this.autosaveDelay <= 0) {
+            save();
+        } else {
+            clearTimeout(this.autosaveTimeout);
+            this.autosaveTimeout = setTimeout(save, this.autosaveDelay);
+        }
     }
 
     /**
      * @private to this class
      * 
      * @method highlight highlights source code.
+     * 
+     * @param {object} action Optional, the last action applied to the source
+     *                        code, allowing only the affected region to be
+     *                        highlighted again. Format:
+     *                        { start:number, oldText:string, newText:string }
      */
-    highlight() {
+    highlight(action) {
+        // The highlighter sees the textarea's text, where folded regions are
+        // replaced by placeholders, so actions only apply to it when nothing
+        // is or was folded.
+        const visible = this.targetTextArea.value;
+        const isFolded = this.buffer.folds.length > 0;
+        if (isFolded || this.highlightedFolded) {
+            action = (
+                this.highlightedText === undefined
+                    ? undefined
+                    : History.diff(this.highlightedText, visible)
+            );
+        }
+        this.highlightedText = visible;
+        this.highlightedFolded = isFolded;
+
         this.highlighter.highlight(
             this.targetTextArea,
             this.targetPre,
-            this.document
+            this.document,
+            action,
+            this.decorations()
+        );
+        this.emit('highlight', {
+            action: action === undefined ? undefined : this.plainAction(action),
+        });
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method decorations collects the ranges displayed on top of the
+     *                     highlighted source code.
+     * 
+     * @returns {array} decorations in the format accepted by Highlighter.
+     */
+    decorations() {
+        const diagnostics = this.diagnosticMarkers.map(diagnostic => ({
+            start: diagnostic.start,
+            end: diagnostic.end,
+            className: 'diagnostic diagnostic-' + diagnostic.severity,
+            title: diagnostic.message,
+        }));
+        const selections = this.extraSelections.map(selection => ({
+            start: selection.start,
+            end: selection.end,
+            className: (
+                selection.start == selection.end
+                    ? 'extra-caret'
+                    : 'extra-selection'
+            ),
+        }));
+        const current = this.selection;
+        const matches = this.searchMatches.map(match => ({
+            start: match.start,
+            end: match.end,
+            className: (
+                match.start == current.start && match.end == current.end
+                    ? 'search-match current-search-match'
+                    : 'search-match'
+            ),
+        }));
+        const placeholders = this.buffer.regions.map(region => ({
+            start: region.start,
+            end: region.end,
+            className: 'fold-placeholder',
+        }));
+        const anchors = this.completion === undefined ? [] : [{
+            start: this.completion.start,
+            end: this.completion.start,
+            className: 'completion-anchor',
+        }];
+
+        return matches.concat(
+            diagnostics,
+            selections,
+            placeholders,
+            anchors
+        ).map(
+            decoration => {
+                const start = this.buffer.toVisible(decoration.start, false);
+                const end = (
+                    decoration.start == decoration.end
+                        ? start
+                        : this.buffer.toVisible(decoration.end, true)
+                );
+                return Object.assign({}, decoration, { start, end });
+            }
         );
     }
 
@@ -280,6 +2037,9 @@ export class Editor {
      */
     syncScroll() {
         this.targetPre.scrollTop = this.targetTextArea.scrollTop;
+        if (this.gutter !== undefined) {
+            this.gutter.syncScroll(this.targetTextArea.scrollTop);
+        }
     }
 
     /**
@@ -290,18 +2050,92 @@ export class Editor {
     refreshPosition() {
         this.syncScroll();
         this.updateLineColumn();
+        this.updateDiagnosticMessage();
     }
 
     /**
      * @private to this class
      * 
      * @method refreshContent refreshes state affected by any content change.
+     * 
+     * @param {object} action Optional, the action that caused the change, in
+     *                        the format:
+     *                        { start:number, oldText:string, newText:string }
      */
-    refreshContent() {
+    refreshContent(action) {
+        this.mapPositions(action);
         this.refreshPrevState();
-        this.highlight();
+        this.normalizeSelections();
+        this.highlight(action);
         this.refreshPosition();
-        this.saveContent();
+        this.updateCompletion();
+        this.detectChange(action);
+        this.detectSelectionChange();
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method detectChange emits a change event and schedules saving if the
+     *                      content changed since the last detected change.
+     * 
+     * @param {object} action Optional, the action that caused the change. It
+     *                        is computed again if it does not turn the
+     *                        previous content into the current one.
+     */
+    detectChange(action) {
+        const content = this.content;
+        if (content === this.knownContent) {
+            return;
+        }
+        const known = this.knownContent;
+        if (!History.explains(action, known, content)) {
+            action = History.diff(known, content);
+        }
+        this.knownContent = content;
+        this.scheduleSave('code');
+        this.emit('change', { action: this.plainAction(action) });
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method detectSelectionChange emits a selectionChange event if any
+     *                              selection changed since the last detected
+     *                              change.
+     */
+    detectSelectionChange() {
+        const selections = this.selections;
+        const known = this.knownSelections;
+        const changed = selections.length != known.length || selections.some(
+            (selection, i) => (
+                selection.start != known[i].start
+                || selection.end != known[i].end
+                || selection.primary != known[i].primary
+            )
+        );
+        if (changed) {
+            this.knownSelections = selections;
+            this.emit('selectionChange', { selections });
+        }
+    }
+
+    /**
+     * @private to this class
+     * 
+     * @method plainAction copies the fields of an action given to listeners,
+     *                      leaving out selections recorded in history.
+     * 
+     * @param {object} action The action.
+     * @returns {object} In the format
+     *                   { start:number, oldText:string, newText:string }.
+     */
+    plainAction(action) {
+        return {
+            start: action.start,
+            oldText: action.oldText,
+            newText: action.newText,
+        };
     }
 
     /**
@@ -323,42 +2157,107 @@ export class Editor {
 
         this.currLineSpan.textContent = line;
         this.currColumnSpan.textContent = column;
+
+        if (this.gutter !== undefined) {
+            this.updateGutter();
+        }
     }
 
     /**
-     * @returns whether the cursor is between '{}'.
+     * @private to this class
+     * 
+     * @method updateGutter updates display of the number and fold marker of
+     *                      every line displayed. Lines are only computed
+     *                      again when the source code or its folds changed,
+     *                      otherwise just the active line moves.
      */
-    isBetweenCurlies() {
-        const start = this.selectionStart;
-        return (
-            start > 0
-            && this.content[start - 1] == '{'
-            && this.content[start] == '}'
-        );
+    updateGutter() {
+        const content = this.content;
+        const visible = this.targetTextArea.value;
+        const cursor = this.targetTextArea.selectionStart;
+        const layout = this.gutterLayout;
+        if (
+            layout !== undefined
+            && layout.content === content
+            && layout.visible === visible
+        ) {
+            this.gutter.activate(this.lineOf(layout.lineStarts, cursor));
+            return;
+        }
+
+        const folds = this.buffer.regions;
+        const lines = [{ number: 1 }];
+        // Positions where displayed lines start, in the textarea.
+        const lineStarts = [0];
+        let number = 1;
+        let fold = 0;
+
+        for (let i = 0; i < content.length; i++) {
+            if (fold < folds.length && folds[fold].start == i) {
+                for (let j = i; j < folds[fold].end; j++) {
+                    if (content[j] == '\n') {
+                        number++;
+                    }
+                }
+                lines[lines.length - 1].marker = 'folded';
+                i = folds[fold].end - 1;
+                fold++;
+            } else if (content[i] == '\n') {
+                number++;
+                lines.push({ number });
+                lineStarts.push(this.buffer.toVisible(i + 1, false));
+            }
+        }
+
+        for (const region of this.foldableRegions()) {
+            const line = lines[this.lineOf(lineStarts, region.visibleStart)];
+            if (line.marker === undefined) {
+                line.marker = 'foldable';
+            }
+        }
+
+        this.gutterLayout = { content, visible, lineStarts };
+        this.gutter.update(lines, this.lineOf(lineStarts, cursor));
     }
 
     /**
-     * @returns whether the cursor is between '[]'.
+     * @private to this class
+     * 
+     * @method lineOf binary searches the displayed line containing a position
+     *                of the textarea.
+     * 
+     * @param {array} lineStarts sorted positions where displayed lines start,
+     *                           in the textarea, the first one being 0.
+     * @param {number} position a position in the textarea.
+     * @returns {number} the index of the displayed line.
      */
-    isBetweenSquares() {
-        const start = this.selectionStart;
-        return (
-            start > 0
-            && this.content[start - 1] == '['
-            && this.content[start] == ']'
-        );
+    lineOf(lineStarts, position) {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (lineStarts[middle] <= position) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low;
     }
 
     /**
-     * @returns whether the cursor is between '()'.
+     * @private to this class
+     * 
+     * @method updateDiagnosticMessage updates display of the messages of
+     *                                 diagnostics at the cursor.
      */
-    isBetweenParens() {
-        const start = this.selectionStart;
-        return (
-            start > 0
-            && this.content[start - 1] == '('
-            && this.content[start] == ')'
-        );
+    updateDiagnosticMessage() {
+        if (this.currDiagnosticSpan !== undefined) {
+            this.currDiagnosticSpan.textContent = this
+                .diagnosticsAt(this.selectionStart)
+                .map(diagnostic => diagnostic.message)
+                .join('\n');
+        }
     }
 
     /********** EVENT HANDLERS **********/
@@ -366,107 +2265,179 @@ export class Editor {
 
     handleUserEdit(evt) {
         evt.preventDefault();
-        const start = (
+        const maxStart = (
             this.prevState.selectionStart > this.selectionStart
                 ? this.selectionStart
                 : this.prevState.selectionStart
         );
-        const end = this.prevState.selectionEnd;
-        const newEnd = this.selectionEnd;
-        const oldText = this.prevState.content.substring(start, end);
-        const newText = this.content.substring(start, newEnd);
-        const action = { start, oldText, newText };
-
-        this.addToHistory(action);
-        this.refreshContent();
-    }
+        const action = History.diff(
+            this.prevState.content,
+            this.content,
+            maxStart
+        );
+        action.selectionBefore = {
+            start: this.prevState.selectionStart,
+            end: this.prevState.selectionEnd,
+        };
+        action.selectionAfter = this.selection;
 
-    handleTab(evt) {
-        evt.preventDefault();
-        this.edit('    ');
-    }
+        if (action.oldText != '' || action.newText != '') {
+            this.addToHistory(action, true);
+        }
+        this.mapSelections(action);
+        this.refreshContent(action);
 
-    handleBackspace(evt) {
         if (
-            this.isBetweenCurlies()
-            || this.isBetweenSquares()
-            || this.isBetweenParens()
+            this.autoComplete
+            && this.completion === undefined
+            && evt.inputType == 'insertText'
+            && /^\w$/.test(evt.data || '')
         ) {
-            evt.preventDefault();
-            this.selectionStart--;
-            this.selectionEnd++;
-            this.edit('');
+            this.openCompletion();
         }
     }
 
-    handleParens(evt) {
-        evt.preventDefault();
-        this.edit('()');
-        this.selectionStart--;
-        this.selectionEnd--;
+    handleMouseDown(evt) {
+        if (evt.altKey) {
+            this.extraSelections.push(this.selection);
+        } else {
+            this.extraSelections = [];
+        }
     }
 
-    handleSquare(evt) {
+    handleCopy(evt, isCut) {
+        // The textarea only has placeholders of folded regions, so the
+        // source code of every selection is copied instead.
+        const content = this.content;
+        const selected = this.selections
+            .filter(selection => selection.start != selection.end)
+            .map(selection => content.substring(
+                selection.start,
+                selection.end
+            ));
+        if (selected.length == 0 || !evt.clipboardData) {
+            return;
+        }
         evt.preventDefault();
-        this.edit('[]');
-        this.selectionStart--;
-        this.selectionEnd--;
+        evt.clipboardData.setData('text/plain', selected.join('\n'));
+        if (isCut) {
+            this.edit('');
+        }
     }
 
-    handleCurly(evt) {
-        evt.preventDefault();
-        this.edit('{}');
-        this.selectionStart--;
-        this.selectionEnd--;
+    handleEscape() {
+        if (this.snippet !== undefined) {
+            this.endSnippet();
+            return true;
+        }
+        if (this.extraSelections.length > 0) {
+            this.clearSelections();
+            return true;
+        }
+        if (this.search !== undefined) {
+            this.clearSearch();
+            return true;
+        }
+        return false;
     }
 
-    handleCtrlZ(evt) {
-        evt.preventDefault();
-        this.undo();
+    handleCompletionKey(evt) {
+        switch (evt.key) {
+            case 'ArrowDown':
+                this.moveCompletion(1);
+                return true;
+            case 'ArrowUp':
+                this.moveCompletion(-1);
+                return true;
+            case 'Enter':
+            case 'Tab':
+                this.acceptCompletion(this.completion.selected);
+                return true;
+            case 'Escape':
+                this.closeCompletion();
+                return true;
+            default:
+                return false;
+        }
     }
 
-    handleCtrlShiftZ(evt) {
-        evt.preventDefault();
-        this.redo();
+    isModified(evt) {
+        return evt.ctrlKey || evt.altKey || evt.metaKey;
     }
 
-    handleCtrlY(evt) {
-        evt.preventDefault();
-        this.redo();
+    handleMultiCursorKey(evt) {
+        if (this.isModified(evt)) {
+            return false;
+        }
+        if (evt.key == 'Delete') {
+            this.deleteSelections(1);
+            return true;
+        }
+        if (evt.key.length == 1) {
+            this.edit(evt.key);
+            return true;
+        }
+        return false;
     }
 
-    handleKey(evt) {
-        this.refreshPrevState();
+    handleBackspace() {
+        if (this.extraSelections.length == 0 && !this.isBetweenPair()) {
+            return false;
+        }
+        this.deleteBackward();
+        return true;
+    }
 
-        const singleKeyMap = {
-            'Tab': evt => this.handleTab(evt),
-            'Backspace': evt => this.handleBackspace(evt),
-            '(': evt => this.handleParens(evt),
-            '[': evt => this.handleSquare(evt),
-            '{': evt => this.handleCurly(evt)
-        };
+    handleFind() {
+        if (this.openSearchPanel === undefined) {
+            return false;
+        }
+        this.openSearch(false);
+    }
 
-        const ctrlKeyMap = {
-            'z': evt => this.handleCtrlZ(evt),
-            'y': evt => this.handleCtrlY(evt),
-        };
+    handleReplace() {
+        if (this.openSearchPanel === undefined) {
+            return false;
+        }
+        this.openSearch(true);
+    }
 
-        const ctrlShiftKeyMap = {
-            'Z': evt => this.handleCtrlShiftZ(evt),
-        };
+    /**
+     * @method handleKey Runs the command bound to a key event, if any. Custom
+     *                   handling is given the event only if no command
+     *                   handled it.
+     * 
+     * @param {KeyboardEvent} evt The key event.
+     * @returns {boolean} Whether the event was handled by a command, in which
+     *                    case its default behaviour is prevented.
+     */
+    handleKey(evt) {
+        this.refreshPrevState();
 
-        if (evt.ctrlKey || evt.cmdKey) {
-            if (evt.shiftKey) {
-                if (evt.key in ctrlShiftKeyMap) {
-                    ctrlShiftKeyMap[evt.key](evt);
-                }
-            } else if (evt.key in ctrlKeyMap) {
-                ctrlKeyMap[evt.key](evt);
+        if (this.completion !== undefined && !this.isModified(evt)) {
+            if (this.handleCompletionKey(evt)) {
+                evt.preventDefault();
+                return true;
             }
-        } else if (evt.key in singleKeyMap) {
-            singleKeyMap[evt.key](evt);
         }
 
-        this.customHandleKey(evt, this);
+        const resolved = this.keymap.resolve(evt);
+        let handled = resolved.consumed;
+        if (resolved.command !== undefined) {
+            handled = this.runCommand(resolved.command, evt);
+        }
+        if (!handled && evt.key.length == 1 && !this.isModified(evt)) {
+            handled = this.autoPair(evt.key);
+        }
+        if (!handled && this.extraSelections.length > 0) {
+            handled = this.handleMultiCursorKey(evt);
+        }
+
+        if (handled) {
+            evt.preventDefault();
+        } else {
+            this.customHandleKey(evt, this);
+        }
+        return handled;
     }
 }
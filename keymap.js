@@ -0,0 +1,277 @@
+/**
+ * @class KeymapError is used to differentiate JS errors from errors occuring
+ *                      because of an invalid key binding or command.
+ * @private to the library.
+ */
+export class KeymapError extends Error {
+    /**
+     * Constructs a keymap error simply using a message as data.
+     * 
+     * @param {string} msg Error message
+     */
+    constructor(msg) {
+        super(msg);
+    }
+}
+
+/**
+ * Key bindings of the editor's built-in commands, where "Mod" is Cmd on macOS
+ * and Ctrl elsewhere.
+ */
+export const defaultBindings = {
+    'Tab': 'indent',
+    'Shift+Tab': 'outdent',
+    'Enter': 'newLine',
+    'Backspace': 'deleteBackward',
+    'Escape': 'escape',
+    'Ctrl+Space': 'triggerCompletion',
+    'Mod+Z': 'undo',
+    'Mod+Shift+Z': 'redo',
+    'Mod+Y': 'redo',
+    'Mod+Alt+Z': 'previousBranch',
+    'Mod+Alt+Shift+Z': 'nextBranch',
+    'Mod+D': 'selectNextOccurrence',
+    'Mod+F': 'find',
+    'Mod+H': 'replace',
+    'Mod+/': 'toggleLineComment',
+    'Shift+Alt+A': 'toggleBlockComment',
+    'Mod+Shift+\\': 'jumpToMatchingBracket',
+    'Mod+Shift+[': 'fold',
+    'Mod+Shift+]': 'unfold',
+    'Mod+K Mod+0': 'foldAll',
+    'Mod+K Mod+J': 'unfoldAll',
+};
+
+/**
+ * Characters of keys whose KeyboardEvent.key changes when Shift is held, by
+ * KeyboardEvent.code.
+ */
+const codeCharacters = {
+    Backquote: '`',
+    Minus: '-',
+    Equal: '=',
+    BracketLeft: '[',
+    BracketRight: ']',
+    Backslash: '\\',
+    Semicolon: ';',
+    Quote: '\'',
+    Comma: ',',
+    Period: '.',
+    Slash: '/',
+};
+
+/**
+ * @class Keymap implements the translation of key events into the names of
+ *                  the commands bound to them, including chords made of
+ *                  multiple strokes, such as "Ctrl+K Ctrl+C".
+ * @private to the library.
+ */
+export class Keymap {
+    /**
+     * @constructor Constructs a keymap from the default bindings and the
+     *              given ones.
+     * 
+     * @param {object} bindings Optional, maps chords to command names, or to
+     *                          null for unbinding a default chord. A chord is
+     *                          made of strokes separated by spaces, and each
+     *                          stroke of modifiers and a key separated by
+     *                          "+", e.g. "Ctrl+Shift+Z". Modifiers are Ctrl,
+     *                          Alt, Shift, Cmd (or Meta) and Mod, which is
+     *                          Cmd on macOS and Ctrl elsewhere. Keys are
+     *                          named as in KeyboardEvent.key, ignoring case,
+     *                          or "Space".
+     * @param {boolean} isMac Whether running on macOS.
+     * @throws {KeymapError} If a chord is not valid.
+     */
+    constructor(bindings, isMac) {
+        this.isMac = isMac;
+        // Maps normalized chords to command names.
+        this.bindings = new Map();
+        // Strokes typed so far of a chord with multiple strokes.
+        this.pending = '';
+
+        const merged = Object.assign({}, defaultBindings, bindings || {});
+        for (const chord in merged) {
+            const normalized = this.parseChord(chord);
+            if (merged[chord] === null || merged[chord] === undefined) {
+                this.bindings.delete(normalized);
+            } else {
+                this.bindings.set(normalized, merged[chord]);
+            }
+        }
+
+        // Chords that are the beginning of a chord with more strokes.
+        this.prefixes = new Set();
+        for (const chord of this.bindings.keys()) {
+            const strokes = chord.split(' ');
+            for (let i = 1; i < strokes.length; i++) {
+                this.prefixes.add(strokes.slice(0, i).join(' '));
+            }
+        }
+    }
+
+    /**
+     * @method resolve Finds the command bound to a key event, taking into
+     *                  account the previous strokes of a chord.
+     * 
+     * @param {KeyboardEvent} evt The key event.
+     * @returns {object} In the format:
+     *                   { command: string, consumed: boolean }
+     *                   where command is undefined if no command is bound to
+     *                   the event, and consumed tells whether the event was
+     *                   used by the keymap, i.e. either a command is bound to
+     *                   it, it starts or continues a chord, or it cancels a
+     *                   chord.
+     */
+    resolve(evt) {
+        if (['Control', 'Alt', 'Shift', 'Meta'].includes(evt.key)) {
+            return { command: undefined, consumed: this.pending != '' };
+        }
+
+        const prefix = this.pending;
+        this.pending = '';
+        for (const stroke of this.strokesOf(evt)) {
+            const chord = prefix == '' ? stroke : prefix + ' ' + stroke;
+            if (this.bindings.has(chord)) {
+                return { command: this.bindings.get(chord), consumed: true };
+            }
+            if (this.prefixes.has(chord)) {
+                this.pending = chord;
+                return { command: undefined, consumed: true };
+            }
+        }
+
+        return { command: undefined, consumed: prefix != '' };
+    }
+
+    /**
+     * @method strokesOf Computes the normalized strokes a key event may
+     *                      match: one from the key produced by the event, and
+     *                      one from the physical key pressed.
+     * 
+     * @private to this class
+     * 
+     * @param {KeyboardEvent} evt The key event.
+     * @returns {array} The normalized strokes.
+     */
+    strokesOf(evt) {
+        const modifiers = {
+            ctrl: evt.ctrlKey,
+            alt: evt.altKey,
+            shift: evt.shiftKey,
+            meta: evt.metaKey,
+        };
+        const strokes = [];
+
+        // Shift is part of a character such as "(", but not of a letter.
+        const key = evt.key;
+        const shifted = (
+            key.length == 1 && key.toLowerCase() == key.toUpperCase()
+        );
+        strokes.push(this.normalizeStroke(
+            Object.assign({}, modifiers, { shift: evt.shiftKey && !shifted }),
+            key
+        ));
+
+        let code = codeCharacters[evt.code];
+        if (code === undefined && /^(Key|Digit)./.test(evt.code || '')) {
+            code = evt.code[evt.code.length - 1];
+        }
+        if (code !== undefined) {
+            const stroke = this.normalizeStroke(modifiers, code);
+            if (stroke != strokes[0]) {
+                strokes.push(stroke);
+            }
+        }
+
+        return strokes;
+    }
+
+    /**
+     * @method parseChord Normalizes a chord given by the user.
+     * 
+     * @private to this class
+     * 
+     * @param {string} chord The chord, e.g. "Mod+K Mod+C".
+     * @returns {string} The normalized chord.
+     * @throws {KeymapError} If the chord is not valid.
+     */
+    parseChord(chord) {
+        const strokes = chord.trim().split(/\s+/).map(stroke => {
+            // A trailing "+" is the key itself, as in "Ctrl++".
+            const split = (
+                stroke.endsWith('+')
+                    ? stroke.length - 1
+                    : stroke.lastIndexOf('+') + 1
+            );
+            let key = stroke.substring(split);
+            const rest = stroke.substring(0, split).replace(/\+$/, '');
+            const parts = rest == '' ? [] : rest.split('+');
+            if (key.toLowerCase() == 'space') {
+                key = ' ';
+            }
+            const modifiers = {};
+            for (const part of parts) {
+                switch (part.toLowerCase()) {
+                    case 'ctrl':
+                    case 'control':
+                        modifiers.ctrl = true;
+                        break;
+                    case 'alt':
+                    case 'option':
+                        modifiers.alt = true;
+                        break;
+                    case 'shift':
+                        modifiers.shift = true;
+                        break;
+                    case 'cmd':
+                    case 'command':
+                    case 'meta':
+                        modifiers.meta = true;
+                        break;
+                    case 'mod':
+                        modifiers[this.isMac ? 'meta' : 'ctrl'] = true;
+                        break;
+                    default:
+                        throw new KeymapError(
+                            'Unknown modifier ' + part + ' in ' + chord
+                        );
+                }
+            }
+            if (key == '') {
+                throw new KeymapError('Missing key in ' + chord);
+            }
+            return this.normalizeStroke(modifiers, key);
+        });
+        return strokes.join(' ');
+    }
+
+    /**
+     * @method normalizeStroke Writes a stroke in a single way, independent of
+     *                          the order of modifiers or case of the key.
+     * 
+     * @private to this class
+     * 
+     * @param {object} modifiers In the format:
+     *                          { ctrl:boolean, alt:boolean, shift:boolean,
+     *                              meta:boolean }
+     * @param {string} key The key name.
+     * @returns {string} The normalized stroke.
+     */
+    normalizeStroke(modifiers, key) {
+        let stroke = '';
+        if (modifiers.ctrl) {
+            stroke += 'Ctrl+';
+        }
+        if (modifiers.alt) {
+            stroke += 'Alt+';
+        }
+        if (modifiers.shift) {
+            stroke += 'Shift+';
+        }
+        if (modifiers.meta) {
+            stroke += 'Meta+';
+        }
+        return stroke + key.toLowerCase();
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * @class Search implements finding the matches of a query in source code,
+ *                  and computing their replacements. It does not know about
+ *                  the editor, which displays the matches and applies the
+ *                  replacements.
+ * @private to the library.
+ */
+export class Search {
+    /**
+     * @constructor Compiles a query.
+     * 
+     * @param {string} query The text searched, or a RegEx source if the regex
+     *                          option is set.
+     * @param {object} options Optional, in the format:
+     *                          {
+     *                              regex: boolean,
+     *                              caseSensitive: boolean,
+     *                              wholeWord: boolean
+     *                          }
+     *                          where every field is optional, default false.
+     * @throws {SyntaxError} If the query is not a valid RegEx source, and the
+     *                          regex option is set.
+     */
+    constructor(query, options) {
+        options = options || {};
+        this.query = query;
+        this.options = {
+            regex: options.regex || false,
+            caseSensitive: options.caseSensitive || false,
+            wholeWord: options.wholeWord || false,
+        };
+
+        let source = (
+            this.options.regex
+                ? query
+                : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        );
+        if (this.options.wholeWord) {
+            source = '(?<!\\w)(?:' + source + ')(?!\\w)';
+        }
+        const flags = this.options.caseSensitive ? 'gm' : 'gim';
+        this.regex = new RegExp(source, flags);
+
+        // Text whose matches were last found, and those matches.
+        this.text = undefined;
+        this.found = [];
+    }
+
+    /**
+     * @method matches Finds every non-empty match of the query.
+     * 
+     * @param {string} text The source code searched.
+     * @returns {array} The matches sorted by start, in the format:
+     *                  { start:number, end:number, groups:array }
+     *                  where groups is the result of executing the RegEx.
+     */
+    matches(text) {
+        if (text === this.text) {
+            return this.found;
+        }
+
+        const found = [];
+        this.regex.lastIndex = 0;
+        let match = this.regex.exec(text);
+        while (match != null) {
+            if (match[0] == '') {
+                this.regex.lastIndex++;
+            } else {
+                found.push({
+                    start: match.index,
+                    end: match.index + match[0].length,
+                    groups: match,
+                });
+            }
+            match = this.regex.exec(text);
+        }
+
+        this.text = text;
+        this.found = found;
+        return found;
+    }
+
+    /**
+     * @method replacementOf Computes the text replacing a match. If the regex
+     *                          option is set, the patterns $$, $&, $n and
+     *                          $<name> are expanded like in
+     *                          String.prototype.replace.
+     * 
+     * @param {object} match A match in the format returned by matches.
+     * @param {string} replacement The replacement given by the user.
+     * @returns {string} The text replacing the match.
+     */
+    replacementOf(match, replacement) {
+        if (!this.options.regex) {
+            return replacement;
+        }
+
+        const groups = match.groups;
+        const pattern = /\$(\$|&|\d\d?|<([^>]*)>)/g;
+        return replacement.replace(pattern, (whole, key, name) => {
+            if (key == '$') {
+                return '$';
+            }
+            if (key == '&') {
+                return groups[0];
+            }
+            if (name !== undefined) {
+                if (groups.groups === undefined) {
+                    return whole;
+                }
+                return groups.groups[name] || '';
+            }
+            let index = parseInt(key);
+            if (index >= groups.length && key.length > 1) {
+                index = parseInt(key[0]);
+                const value = this.groupValue(groups, index);
+                return value === undefined ? whole : value + key[1];
+            }
+            const value = this.groupValue(groups, index);
+            return value === undefined ? whole : value;
+        });
+    }
+
+    /**
+     * @method groupValue Gets the text captured by a group.
+     * 
+     * @private to this class
+     * 
+     * @param {array} groups The result of executing the RegEx.
+     * @param {number} index Index of the group.
+     * @returns {string} The captured text, an empty string if the group did
+     *                      not participate in the match, or undefined if
+     *                      there is no such group.
+     */
+    groupValue(groups, index) {
+        if (index < 1 || index >= groups.length) {
+            return undefined;
+        }
+        return groups[index] || '';
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * Snippets are defined by languages in the format:
+ *  { prefix:string, body:string, description:string }
+ * where typing the prefix and pressing Tab replaces it by the body, and the
+ * description is optional. The body may contain tab stops: "$1", "$2", ...
+ * are visited in order by Tab, and "$0" is the final position of the cursor,
+ * by default the end of the snippet. A stop may have default text, as in
+ * "${1:name}", and a stop appearing multiple times is mirrored: every
+ * occurrence has the same text. A "$", "}" or "\" is written literally when
+ * escaped by "\".
+ */
+
+/**
+ * @method parseSnippet Computes the text inserted by a snippet and where its
+ *                      tab stops are.
+ * 
+ * @private to the library.
+ * 
+ * @param {string} body The body of the snippet.
+ * @returns {object} In the format:
+ *                   {
+ *                      text: string,
+ *                      stops: [{
+ *                          index: number,
+ *                          ranges: [{ start:number, end:number }]
+ *                      }]
+ *                   }
+ *                   where stops are in the order visited, the final stop
+ *                   last, and ranges are the occurrences of a stop in the
+ *                   text.
+ */
+export function parseSnippet(body) {
+    const regex = /\\([$}\\])|\$(\d+)|\$\{(\d+)(?::((?:[^\\}]|\\.)*))?\}/g;
+    const tokens = [];
+    const defaults = new Map();
+    let position = 0;
+    let match = regex.exec(body);
+    while (match != null) {
+        tokens.push(body.substring(position, match.index));
+        if (match[1] !== undefined) {
+            tokens.push(match[1]);
+        } else {
+            const index = parseInt(match[2] || match[3]);
+            const text = (match[4] || '').replace(/\\([$}\\])/g, '$1');
+            if (text != '' && !defaults.has(index)) {
+                defaults.set(index, text);
+            }
+            tokens.push({ index });
+        }
+        position = match.index + match[0].length;
+        match = regex.exec(body);
+    }
+    tokens.push(body.substring(position));
+
+    let text = '';
+    const stops = new Map();
+    for (const token of tokens) {
+        if (typeof token == 'string') {
+            text += token;
+            continue;
+        }
+        const start = text.length;
+        text += defaults.get(token.index) || '';
+        if (!stops.has(token.index)) {
+            stops.set(token.index, []);
+        }
+        stops.get(token.index).push({ start, end: text.length });
+    }
+    if (!stops.has(0)) {
+        stops.set(0, [{ start: text.length, end: text.length }]);
+    }
+
+    const indices = Array.from(stops.keys()).sort((first, second) => (
+        (first || Infinity) - (second || Infinity)
+    ));
+    return {
+        text,
+        stops: indices.map(index => ({ index, ranges: stops.get(index) })),
+    };
+}
@@ -0,0 +1,295 @@
+/**
+ * Storage adapters keep the data of every document of the editor under
+ * string keys, 'code' for the source code and 'history' for the history
+ * data. Every adapter has the methods:
+ *  load(key, documentId) -> any | Promise<any>, resolving to undefined if
+ *                                               nothing was saved under the
+ *                                               key;
+ *  save(key, value, documentId) -> undefined | Promise<undefined>;
+ * such that they can be either synchronous or Promise-based. The id of the
+ * document initially open is the empty string by default.
+ */
+
+/**
+ * @method keyOf Computes the key actually used for some data of a document,
+ *                  which is the key itself for the document with an empty
+ *                  id.
+ * 
+ * @private to this module
+ * 
+ * @param {string} key Either 'code' or 'history'.
+ * @param {string} documentId The id of the document.
+ * @returns {string} The key, e.g. 'macros/code'.
+ */
+function keyOf(key, documentId) {
+    return documentId ? documentId + '/' + key : key;
+}
+
+/**
+ * @method settle Calls a function that may return a Promise, and then
+ *                  handles its result, synchronously if it is not a Promise.
+ * 
+ * @private to the library.
+ * 
+ * @param {function} compute The function called first.
+ * @param {function} onValue Called with the value computed, and whose
+ *                              result is returned.
+ * @param {function} onError Optional, called with the error thrown or
+ *                              rejected by compute, and whose result is
+ *                              returned. The error is rethrown by default.
+ * @returns The result of onValue or onError, in a Promise if compute
+ *          returned a Promise.
+ */
+export function settle(compute, onValue, onError) {
+    onError = onError || (error => {
+        throw error;
+    });
+    let value;
+    try {
+        value = compute();
+    } catch (error) {
+        return onError(error);
+    }
+    if (value !== null && value !== undefined && value.then !== undefined) {
+        return value.then(onValue, onError);
+    }
+    return onValue(value);
+}
+
+/**
+ * @class MemoryStorage implements a synchronous storage adapter keeping data
+ *                      in memory, e.g. for tests or when nothing should
+ *                      outlive the page.
+ */
+export class MemoryStorage {
+    /**
+     * @constructor Creates an empty storage.
+     */
+    constructor() {
+        this.values = new Map();
+    }
+
+    /**
+     * @method load Loads the value saved under a key.
+     * 
+     * @param {string} key The key.
+     * @param {string} documentId Optional, the id of the document.
+     * @returns The value, or undefined if nothing was saved.
+     */
+    load(key, documentId) {
+        return this.values.get(keyOf(key, documentId));
+    }
+
+    /**
+     * @method save Saves a value under a key, replacing the previous one.
+     * 
+     * @param {string} key The key.
+     * @param {any} value The value.
+     * @param {string} documentId Optional, the id of the document.
+     */
+    save(key, value, documentId) {
+        this.values.set(keyOf(key, documentId), value);
+    }
+}
+
+/**
+ * @class LocalStorage implements a synchronous storage adapter keeping data
+ *                      as JSON in the browser's localStorage.
+ */
+export class LocalStorage {
+    /**
+     * @constructor Creates an adapter for a Web Storage.
+     * 
+     * @param {string} prefix Optional, prepended to every key, such that
+     *                          multiple editors can share the storage.
+     *                          Default 'pinguim-editor:'.
+     * @param {Storage} storage Optional, the Web Storage used, e.g.
+     *                          sessionStorage. Default localStorage.
+     */
+    constructor(prefix, storage) {
+        this.prefix = prefix === undefined ? 'pinguim-editor:' : prefix;
+        this.storage = storage || localStorage;
+    }
+
+    /**
+     * @method load Loads the value saved under a key.
+     * 
+     * @param {string} key The key.
+     * @param {string} documentId Optional, the id of the document.
+     * @returns The value, or undefined if nothing was saved.
+     * @throws {SyntaxError} If the saved data is not valid JSON.
+     */
+    load(key, documentId) {
+        const data = this.storage.getItem(
+            this.prefix + keyOf(key, documentId)
+        );
+        return data === null ? undefined : JSON.parse(data);
+    }
+
+    /**
+     * @method save Saves a value under a key, replacing the previous one.
+     * 
+     * @param {string} key The key.
+     * @param {any} value The value, which must be serializable to JSON.
+     * @param {string} documentId Optional, the id of the document.
+     */
+    save(key, value, documentId) {
+        this.storage.setItem(
+            this.prefix + keyOf(key, documentId),
+            JSON.stringify(value)
+        );
+    }
+}
+
+/**
+ * @class IndexedDBStorage implements a Promise-based storage adapter keeping
+ *                          data in an object store of an IndexedDB database,
+ *                          which allows larger documents and histories than
+ *                          localStorage.
+ */
+export class IndexedDBStorage {
+    /**
+     * @constructor Creates an adapter for a database, which is only opened,
+     *              and created if needed, when first used.
+     * 
+     * @param {string} name Optional, the name of the database. Default
+     *                      'pinguim-editor'.
+     * @param {IDBFactory} factory Optional, the IndexedDB implementation.
+     *                              Default indexedDB.
+     */
+    constructor(name, factory) {
+        this.name = name || 'pinguim-editor';
+        this.factory = factory || indexedDB;
+        this.storeName = 'values';
+        // Promise of the opened database.
+        this.database = undefined;
+    }
+
+    /**
+     * @method load Loads the value saved under a key.
+     * 
+     * @param {string} key The key.
+     * @param {string} documentId Optional, the id of the document.
+     * @returns {Promise} Resolves to the value, or undefined if nothing was
+     *                      saved.
+     */
+    load(key, documentId) {
+        return this.open().then(database => {
+            const store = database
+                .transaction(this.storeName, 'readonly')
+                .objectStore(this.storeName);
+            return this.settleRequest(store.get(keyOf(key, documentId)));
+        });
+    }
+
+    /**
+     * @method save Saves a value under a key, replacing the previous one.
+     * 
+     * @param {string} key The key.
+     * @param {any} value The value, which must be structured-cloneable.
+     * @param {string} documentId Optional, the id of the document.
+     * @returns {Promise} Resolves once the value is written.
+     */
+    save(key, value, documentId) {
+        return this.open().then(database => new Promise((resolve, reject) => {
+            const transaction = database.transaction(
+                this.storeName,
+                'readwrite'
+            );
+            transaction.objectStore(this.storeName)
+                .put(value, keyOf(key, documentId));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    }
+
+    /**
+     * @method open Opens the database, creating its object store if needed.
+     * 
+     * @private to this class
+     * 
+     * @returns {Promise} Resolves to the database.
+     */
+    open() {
+        if (this.database === undefined) {
+            const request = this.factory.open(this.name, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            this.database = this.settleRequest(request);
+        }
+        return this.database;
+    }
+
+    /**
+     * @method settleRequest Wraps an IndexedDB request in a Promise.
+     * 
+     * @private to this class
+     * 
+     * @param {IDBRequest} request The request.
+     * @returns {Promise} Resolves to the request's result.
+     */
+    settleRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+/**
+ * @class CallbackStorage implements a storage adapter on top of the save and
+ *                          load functions given to the editor.
+ * @private to the library.
+ */
+export class CallbackStorage {
+    /**
+     * @constructor Creates an adapter for save and load functions.
+     * 
+     * @param {object} callbacks In the format:
+     *                              {
+     *                                  saveCode: function(string, string)
+     *                                              -> (),
+     *                                  loadCode: function(string) -> string,
+     *                                  saveCodeHist: function(object, string)
+     *                                              -> (),
+     *                                  loadCodeHist: function(string)
+     *                                              -> object
+     *                              }
+     *                              where the last parameter of every
+     *                              function is the id of the document.
+     */
+    constructor(callbacks) {
+        this.callbacks = {
+            code: { save: callbacks.saveCode, load: callbacks.loadCode },
+            history: {
+                save: callbacks.saveCodeHist,
+                load: callbacks.loadCodeHist,
+            },
+        };
+    }
+
+    /**
+     * @method load Loads the value of a key through its load function.
+     * 
+     * @param {string} key Either 'code' or 'history'.
+     * @param {string} documentId Optional, the id of the document.
+     * @returns The value returned by the load function.
+     */
+    load(key, documentId) {
+        return this.callbacks[key].load(documentId);
+    }
+
+    /**
+     * @method save Saves the value of a key through its save function.
+     * 
+     * @param {string} key Either 'code' or 'history'.
+     * @param {any} value The value.
+     * @param {string} documentId Optional, the id of the document.
+     * @returns The value returned by the save function.
+     */
+    save(key, value, documentId) {
+        return this.callbacks[key].save(value, documentId);
+    }
+}
@@ -0,0 +1,91 @@
+import * as assert from 'assert';
+import { JSDOM } from 'jsdom';
+import { Highlighter } from '../highlighter.js';
+import {
+    CompletionPopup,
+    keywordProvider,
+    identifierProvider,
+} from '../completion.js';
+
+describe('Completion', function () {
+    describe('keywordProvider()', function () {
+        it('provides the plain words of every rule', function () {
+            const provider = keywordProvider(new Highlighter(
+                {
+                    regex: /\bif\b|\bthen\b|\belse\b/,
+                    className: 'keyword',
+                },
+                {
+                    regex: /\b0\b|\btrue\b|[a-z]+_[a-z]+/,
+                    className: 'literal',
+                },
+            ));
+            assert.deepEqual(provider({}), [
+                { label: 'if', detail: 'keyword' },
+                { label: 'then', detail: 'keyword' },
+                { label: 'else', detail: 'keyword' },
+                { label: '0', detail: 'literal' },
+                { label: 'true', detail: 'literal' },
+            ]);
+        });
+    });
+
+    describe('identifierProvider()', function () {
+        it('provides identifiers except the one being typed', function () {
+            const provider = identifierProvider();
+            const content = 'loop: inc a\njmp lo';
+            assert.deepEqual(
+                provider({ content, position: 18, prefix: 'lo' }),
+                ['loop', 'inc', 'a', 'jmp']
+            );
+        });
+    });
+
+    describe('CompletionPopup', function () {
+        function makePopup(onPick) {
+            const dom = new JSDOM(
+                '<!DOCTYPE html>'
+                + '<div id="popup"></div>'
+            );
+            const document = dom.window.document;
+            const element = document.getElementById('popup');
+            const popup = new CompletionPopup(element, document, onPick);
+            return { element, popup };
+        }
+
+        it('displays candidates with the selected one', function () {
+            const { element, popup } = makePopup(() => { });
+            assert.equal(element.style.display, 'none');
+
+            popup.show(
+                [{ label: 'if', detail: 'keyword' }, { label: 'inc' }],
+                1,
+                { top: 10, left: 4 }
+            );
+            assert.equal(element.style.display, '');
+            assert.equal(element.style.top, '10px');
+            assert.equal(element.childNodes.length, 2);
+            assert.equal(element.childNodes[0].className, 'completion-item');
+            assert.equal(element.childNodes[0].textContent, 'ifkeyword');
+            assert.equal(
+                element.childNodes[1].className,
+                'completion-item selected-completion'
+            );
+
+            popup.hide();
+            assert.equal(element.style.display, 'none');
+            assert.equal(element.childNodes.length, 0);
+        });
+
+        it('reports clicked candidates', function () {
+            const picked = [];
+            const { element, popup } = makePopup(index => picked.push(index));
+            popup.show([{ label: 'if' }, { label: 'inc' }], 0, {
+                top: 0,
+                left: 0,
+            });
+            element.childNodes[1].click();
+            assert.deepEqual(picked, [1]);
+        });
+    });
+});
@@ -0,0 +1,38 @@
+import * as assert from 'assert';
+import { compress, decompress } from '../compression.js';
+
+describe('Compression', function () {
+    describe('#compress()', function () {
+        it('compresses repetitions', function () {
+            const text = '{"start":4,"oldText":"","newText":"id"},'.repeat(50);
+            const compressed = compress(text);
+            assert.ok(compressed.length < text.length / 4);
+            assert.equal(decompress(compressed), text);
+        });
+
+        it('restores any character', function () {
+            for (const text of ['', 'a', 'aaaaaaa', 'ação\n\t"\\😀😀']) {
+                assert.equal(decompress(compress(text)), text);
+            }
+        });
+
+        it('never writes surrogates nor control characters', function () {
+            let text = '';
+            for (let i = 0; i < 20000; i++) {
+                text += String.fromCharCode(97 + (i * i) % 26, 48 + i % 7);
+            }
+            const compressed = compress(text);
+            assert.ok(Array.from(compressed).every(char => (
+                char.charCodeAt(0) >= 32 && char.charCodeAt(0) < 0xD800
+            )));
+            assert.equal(decompress(compressed), text);
+        });
+    });
+
+    describe('#decompress()', function () {
+        it('rejects invalid codes', function () {
+            assert.throws(() => decompress('퀀'), SyntaxError);
+            assert.throws(() => decompress(' '), SyntaxError);
+        });
+    });
+});
@@ -0,0 +1,181 @@
+import * as assert from 'assert';
+import { EditorCore, TextBuffer } from '../core.js';
+
+describe('TextBuffer', function () {
+    it('places the cursor at the end of new text', function () {
+        const buffer = new TextBuffer('let x');
+        assert.equal(buffer.selectionStart, 5);
+        buffer.selectionStart = 0;
+        buffer.value = 'let x = y';
+        assert.equal(buffer.selectionStart, 9);
+        assert.equal(buffer.selectionEnd, 9);
+    });
+
+    it('keeps the selection ordered and inside the text', function () {
+        const buffer = new TextBuffer('let x');
+        buffer.selectionStart = 1;
+        buffer.selectionEnd = 10;
+        assert.deepEqual([buffer.selectionStart, buffer.selectionEnd], [1, 5]);
+        buffer.selectionEnd = 0;
+        assert.deepEqual([buffer.selectionStart, buffer.selectionEnd], [0, 0]);
+        buffer.selectionStart = 3;
+        assert.deepEqual([buffer.selectionStart, buffer.selectionEnd], [3, 3]);
+    });
+});
+
+describe('EditorCore', function () {
+    function makeCore(content, start, end) {
+        const core = new EditorCore({ content, historyMergeTimeout: 0 });
+        core.changeSelection(start, end === undefined ? start : end);
+        return core;
+    }
+
+    describe('#edit()', function () {
+        it('edits the selection and undoes the edit', function () {
+            const core = makeCore('if a then b', 3, 4);
+            core.edit('c');
+            assert.equal(core.content, 'if c then b');
+            core.undo();
+            assert.equal(core.content, 'if a then b');
+            assert.deepEqual(core.selection, { start: 3, end: 4 });
+            core.redo();
+            assert.equal(core.content, 'if c then b');
+            assert.deepEqual(core.selection, { start: 4, end: 4 });
+        });
+
+        it('edits every selection as a single step', function () {
+            const core = makeCore('a b a', 0, 1);
+            core.addSelection(4, 5);
+            core.edit('xy');
+            assert.equal(core.content, 'xy b xy');
+            assert.deepEqual(
+                core.selections.map(({ start, end }) => [start, end]),
+                [[2, 2], [7, 7]]
+            );
+            core.undo();
+            assert.equal(core.content, 'a b a');
+        });
+    });
+
+    describe('#type()', function () {
+        it('pairs brackets and types over closing ones', function () {
+            const core = makeCore('f', 1);
+            core.type('(');
+            assert.equal(core.content, 'f()');
+            assert.equal(core.selectionStart, 2);
+            core.type('x');
+            core.type(')');
+            assert.equal(core.content, 'f(x)');
+            assert.equal(core.selectionStart, 4);
+        });
+
+        it('only types over inserted closing characters', function () {
+            const core = makeCore('f(a)', 3);
+            core.type(')');
+            assert.equal(core.content, 'f(a))');
+            assert.equal(core.selectionStart, 4);
+
+            core.changeSelection(0, 0);
+            core.type('(');
+            core.type(')');
+            assert.equal(core.content, '()f(a))');
+            core.changeSelection(5, 5);
+            core.type(')');
+            assert.equal(core.content, '()f(a)))');
+        });
+
+        it('forgets inserted closing characters that are edited', function () {
+            const core = makeCore('f', 1);
+            core.type('(');
+            core.edit('x');
+            core.changeSelection(3, 4);
+            core.edit('');
+            core.edit(')');
+            core.changeSelection(3, 3);
+            core.type(')');
+            assert.equal(core.content, 'f(x))');
+        });
+
+        it('merges typed characters in history', function () {
+            const core = new EditorCore({ content: '' });
+            core.type('a');
+            core.type('b');
+            core.undo();
+            assert.equal(core.content, '');
+        });
+    });
+
+    describe('#indent()', function () {
+        it('indents lines touched by a multi-line selection', function () {
+            const core = makeCore('a\nb\nc', 0, 3);
+            core.indent();
+            assert.equal(core.content, '    a\n    b\nc');
+            core.indentLines(true);
+            assert.equal(core.content, 'a\nb\nc');
+        });
+
+        it('inserts the indentation unit at the cursor', function () {
+            const core = new EditorCore({ content: 'a', indentUnit: '\t' });
+            core.indent();
+            assert.equal(core.content, 'a\t');
+        });
+    });
+
+    describe('#newLine()', function () {
+        it('splits brackets onto indented lines', function () {
+            const core = makeCore('  f {}', 5);
+            core.newLine();
+            assert.equal(core.content, '  f {\n      \n  }');
+            assert.equal(core.selectionStart, 12);
+        });
+    });
+
+    describe('#deleteBackward()', function () {
+        it('deletes both characters of an empty pair', function () {
+            const core = makeCore('f()', 2);
+            core.deleteBackward();
+            assert.equal(core.content, 'f');
+            core.deleteBackward();
+            assert.equal(core.content, '');
+            core.undo();
+            core.undo();
+            assert.equal(core.content, 'f()');
+        });
+
+        it('records nothing at the bounds of the text', function () {
+            const core = new EditorCore({ buffer: new TextBuffer('abc') });
+            core.changeSelection(0, 0);
+            core.deleteBackward();
+            core.changeSelection(3, 3);
+            core.deleteForward();
+            assert.equal(core.content, 'abc');
+            assert.deepEqual(core.history.export().entries, []);
+        });
+
+        it('keeps cursors with nothing to delete', function () {
+            const core = makeCore('abc', 0);
+            core.addSelection(2, 2);
+            core.deleteBackward();
+            assert.equal(core.content, 'ac');
+            assert.deepEqual(
+                core.selections.map(({ start, end }) => [start, end]),
+                [[0, 0], [1, 1]]
+            );
+            assert.equal(core.history.export().entries.length, 1);
+        });
+    });
+
+    describe('#toggleLineComment()', function () {
+        it('comments and uncomments the selected lines', function () {
+            const core = new EditorCore({
+                content: 'a\n  b',
+                language: { lineComment: '--' },
+            });
+            core.changeSelection(0, 5);
+            core.toggleLineComment();
+            assert.equal(core.content, '-- a\n--   b');
+            core.toggleLineComment();
+            assert.equal(core.content, 'a\n  b');
+        });
+    });
+});
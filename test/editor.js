@@ -1,6 +1,12 @@
 import * as assert from 'assert';
 import { JSDOM } from 'jsdom';
-import { Editor, Highlighter } from '../index.js';
+import {
+    Editor,
+    Highlighter,
+    MemoryStorage,
+    DocumentError,
+} from '../index.js';
+import { History } from '../history.js';
 
 describe('Editor', function () {
     describe('#edit()', function () {
@@ -59,16 +65,1656 @@ describe('Editor', function () {
         });
     });
 
+    describe('#beginGroup()', function () {
+        it('grouped edits are undone together', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+
+            editor.beginGroup();
+            editor.edit('a ');
+            changeSelection(params.window, params.targetTextArea, 4, 4);
+            editor.edit('b');
+            editor.endGroup();
+            assert.equal(editor.content, 'a ifb then a else b');
+
+            editor.undo();
+            assert.equal(editor.content, 'if then a else b');
+            editor.redo();
+            assert.equal(editor.content, 'a ifb then a else b');
+            assert.equal(params.loadCodeHist().entries.length, 1);
+        });
+    });
+
+    describe('#undo()', function () {
+        it('restores the replaced selection', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 3, 7);
+
+            editor.edit('when');
+            editor.undo();
+            assert.equal(editor.content, 'if then a else b');
+            assert.equal(editor.selectionStart, 3);
+            assert.equal(editor.selectionEnd, 7);
+
+            editor.redo();
+            assert.equal(editor.content, 'if when a else b');
+            assert.equal(editor.selectionStart, 7);
+            assert.equal(editor.selectionEnd, 7);
+        });
+
+        it('restores the selection around a group', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 2, 2);
+
+            editor.beginGroup();
+            editor.edit('()');
+            editor.selectionStart--;
+            editor.selectionEnd--;
+            editor.endGroup();
+
+            editor.undo();
+            assert.equal(editor.selectionStart, 2);
+            assert.equal(editor.selectionEnd, 2);
+            editor.redo();
+            assert.equal(editor.content, 'if() then a else b');
+            assert.equal(editor.selectionStart, 3);
+            assert.equal(editor.selectionEnd, 3);
+        });
+
+        it('switches back to undone edits', function () {
+            const params = makeEditorParams();
+            params.isMac = false;
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 3, 7);
+
+            editor.edit('when');
+            editor.undo();
+            editor.edit('so');
+            simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                key: 'z',
+                code: 'KeyZ',
+                ctrlKey: true,
+                altKey: true,
+            });
+            assert.equal(editor.content, 'if when a else b');
+            assert.equal(editor.switchBranch(1), true);
+            assert.equal(editor.content, 'if so a else b');
+            editor.undo();
+            assert.equal(editor.content, 'if then a else b');
+        });
+    });
+
+    describe('#multipleSelections', function () {
+        it('edit applies to every selection', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 2, 2);
+            editor.addSelection(9, 9);
+            editor.addSelection(0, 2);
+
+            editor.edit('x');
+            assert.equal(editor.content, 'xx then ax else b');
+            assert.deepEqual(editor.selections, [
+                { start: 1, end: 1, primary: false },
+                { start: 2, end: 2, primary: true },
+                { start: 10, end: 10, primary: false },
+            ]);
+        });
+
+        it('multiple edits are a single undo step', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 7, 7);
+            editor.addSelection(2, 2);
+
+            editor.edit('!');
+            assert.equal(editor.content, 'if! then! a else b');
+            assert.deepEqual(editor.selections, [
+                { start: 3, end: 3, primary: false },
+                { start: 9, end: 9, primary: true },
+            ]);
+
+            editor.undo();
+            assert.equal(editor.content, 'if then a else b');
+            assert.equal(editor.selections.length, 1);
+            editor.redo();
+            assert.equal(editor.content, 'if! then! a else b');
+        });
+
+        it('extra carets are rendered', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 0, 0);
+            editor.addSelection(9, 9);
+            editor.addSelection(10, 14);
+
+            const caret = params.targetPre.querySelector('.extra-caret');
+            assert.ok(caret !== null);
+            assert.equal(caret.textContent, '');
+            assert.equal(caret.previousSibling.textContent, ' a');
+            const selected = params.targetPre.querySelector('.extra-selection');
+            assert.equal(selected.className, 'keyword extra-selection');
+            assert.equal(selected.textContent, 'else');
+            assert.equal(params.targetPre.textContent, 'if then a else b');
+
+            editor.clearSelections();
+            assert.equal(params.targetPre.querySelector('.extra-caret'), null);
+        });
+
+        it('alt click adds a cursor', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 2, 2);
+
+            clickTextArea(params.window, params.targetTextArea, 7, true);
+            assert.deepEqual(editor.selections, [
+                { start: 2, end: 2, primary: false },
+                { start: 7, end: 7, primary: true },
+            ]);
+
+            clickTextArea(params.window, params.targetTextArea, 4, false);
+            assert.deepEqual(editor.selections, [
+                { start: 4, end: 4, primary: true },
+            ]);
+        });
+
+        it('ctrl+d selects the word, then next occurrences', function () {
+            const params = makeEditorParams();
+            params.targetTextArea.value = 'a then a then';
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 3, 3);
+
+            const ctrlD = { key: 'd', code: 'KeyD', ctrlKey: true };
+            simulateKeyOnTextArea(params.window, params.targetTextArea, ctrlD);
+            assert.equal(editor.selectionStart, 2);
+            assert.equal(editor.selectionEnd, 6);
+
+            simulateKeyOnTextArea(params.window, params.targetTextArea, ctrlD);
+            simulateKeyOnTextArea(params.window, params.targetTextArea, ctrlD);
+            assert.deepEqual(editor.selections, [
+                { start: 2, end: 6, primary: false },
+                { start: 9, end: 13, primary: true },
+            ]);
+
+            editor.edit('else');
+            assert.equal(editor.content, 'a else a else');
+        });
+
+        it('typing and backspace apply to every cursor', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 2, 2);
+            editor.addSelection(7, 7);
+
+            simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                key: 'x',
+                code: 'KeyX',
+                content: 'x',
+                prevented: true,
+            });
+            assert.equal(editor.content, 'ifx thenx a else b');
+
+            simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                key: 'Backspace',
+                code: 'Backspace',
+                content: undefined,
+                prevented: true,
+            });
+            simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                key: 'Backspace',
+                code: 'Backspace',
+                content: undefined,
+                prevented: true,
+            });
+            assert.equal(editor.content, 'i the a else b');
+
+            simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                key: 'Escape',
+                code: 'Escape',
+                content: undefined,
+                prevented: true,
+            });
+            assert.equal(editor.selections.length, 1);
+        });
+    });
+
+    describe('#autoIndent', function () {
+        function pressEnter(params) {
+            simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                key: 'Enter',
+                code: 'Enter',
+                content: '\n',
+                prevented: true,
+            });
+        }
+
+        it('copies the indentation of the line', function () {
+            const params = makeEditorParams();
+            params.targetTextArea.value = 'if a\n    then b';
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 15, 15);
+
+            pressEnter(params);
+            assert.equal(editor.content, 'if a\n    then b\n    ');
+            assert.equal(editor.selectionStart, 20);
+            assert.equal(editor.selectionEnd, 20);
+        });
+
+        it('adds a level after an opening bracket', function () {
+            const params = makeEditorParams();
+            params.targetTextArea.value = '  if (';
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 6, 6);
+
+            pressEnter(params);
+            assert.equal(editor.content, '  if (\n      ');
+            assert.equal(editor.selectionStart, 13);
+        });
+
+        it('splits curly brackets onto three lines', function () {
+            const params = makeEditorParams();
+            params.targetTextArea.value = '  a {}';
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 5, 5);
+
+            pressEnter(params);
+            assert.equal(editor.content, '  a {\n      \n  }');
+            assert.equal(editor.selectionStart, 12);
+            assert.equal(editor.selectionEnd, 12);
+
+            editor.undo();
+            assert.equal(editor.content, '  a {}');
+            assert.equal(editor.selectionStart, 5);
+        });
+
+        it('indents at every cursor', function () {
+            const params = makeEditorParams();
+            params.targetTextArea.value = ' a\n  b';
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 2, 2);
+            editor.addSelection(6, 6);
+
+            pressEnter(params);
+            assert.equal(editor.content, ' a\n \n  b\n  ');
+            assert.deepEqual(editor.selections, [
+                { start: 4, end: 4, primary: true },
+                { start: 11, end: 11, primary: false },
+            ]);
+        });
+    });
+
+    describe('#indentLines()', function () {
+        function pressTab(params, shiftKey) {
+            simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                key: 'Tab',
+                code: 'Tab',
+                content: undefined,
+                shiftKey,
+                prevented: true,
+            });
+        }
+
+        it('tab indents every selected line', function () {
+            const params = makeEditorParams();
+            params.targetTextArea.value = 'if a\nthen b\nelse c';
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 2, 8);
+
+            pressTab(params, false);
+            assert.equal(editor.content, '    if a\n    then b\nelse c');
+            assert.equal(editor.selectionStart, 6);
+            assert.equal(editor.selectionEnd, 16);
+
+            editor.undo();
+            assert.equal(editor.content, 'if a\nthen b\nelse c');
+            assert.equal(editor.selectionStart, 2);
+            assert.equal(editor.selectionEnd, 8);
+        });
+
+        it('whole selected lines stay selected', function () {
+            const params = makeEditorParams();
+            params.targetTextArea.value = 'if a\nthen b\nelse c';
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 0, 12);
+
+            pressTab(params, false);
+            assert.equal(editor.content, '    if a\n    then b\nelse c');
+            assert.equal(editor.selectionStart, 0);
+            assert.equal(editor.selectionEnd, 20);
+        });
+
+        it('shift+tab outdents selected lines', function () {
+            const params = makeEditorParams();
+            params.targetTextArea.value = '    if a\n  then b\n\telse c';
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 6, 21);
+
+            pressTab(params, true);
+            assert.equal(editor.content, 'if a\nthen b\nelse c');
+            assert.equal(editor.selectionStart, 2);
+            assert.equal(editor.selectionEnd, 14);
+        });
+
+        it('shift+tab outdents a single line', function () {
+            const params = makeEditorParams();
+            params.targetTextArea.value = 'if a\n        then b';
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 15, 15);
+
+            pressTab(params, true);
+            assert.equal(editor.content, 'if a\n    then b');
+            assert.equal(editor.selectionStart, 11);
+            assert.equal(editor.selectionEnd, 11);
+        });
+
+        it('the indent unit is configurable', function () {
+            const params = makeEditorParams();
+            params.indentUnit = '\t';
+            params.targetTextArea.value = 'a\nb';
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 0, 3);
+
+            pressTab(params, false);
+            assert.equal(editor.content, '\ta\n\tb');
+
+            const spacedParams = makeEditorParams();
+            spacedParams.indentUnit = 2;
+            const spacedEditor = new Editor(spacedParams);
+            changeSelection(
+                spacedParams.window,
+                spacedParams.targetTextArea,
+                0,
+                0
+            );
+            pressTab(spacedParams, false);
+            assert.equal(spacedEditor.content, '  if then a else b');
+        });
+    });
+
+    describe('#setDiagnostics()', function () {
+        it('underlines diagnostics with their messages', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            editor.setDiagnostics([
+                { start: 8, end: 9, message: 'unknown variable' },
+                {
+                    start: 15,
+                    end: 16,
+                    severity: 'warning',
+                    message: 'unused',
+                },
+            ]);
+
+            const errors = params.targetPre.querySelectorAll(
+                '.diagnostic-error'
+            );
+            assert.equal(errors.length, 1);
+            assert.equal(errors[0].className, 'diagnostic diagnostic-error');
+            assert.equal(errors[0].textContent, 'a');
+            assert.equal(errors[0].title, 'unknown variable');
+
+            const warnings = params.targetPre.querySelectorAll(
+                '.diagnostic-warning'
+            );
+            assert.equal(warnings.length, 1);
+            assert.equal(warnings[0].textContent, 'b');
+            assert.equal(warnings[0].title, 'unused');
+        });
+
+        it('displays the message at the cursor', function () {
+            const params = makeEditorParams();
+            params.currDiagnosticSpan = params.document.createElement('span');
+            const editor = new Editor(params);
+            editor.setDiagnostics([
+                { start: 8, end: 9, message: 'unknown variable' },
+            ]);
+
+            changeSelection(params.window, params.targetTextArea, 9, 9);
+            assert.equal(
+                params.currDiagnosticSpan.textContent,
+                'unknown variable'
+            );
+            changeSelection(params.window, params.targetTextArea, 2, 2);
+            assert.equal(params.currDiagnosticSpan.textContent, '');
+        });
+
+        it('follows edits before diagnostics', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            editor.setDiagnostics([
+                { start: 8, end: 9, message: 'unknown variable' },
+            ]);
+
+            changeSelection(params.window, params.targetTextArea, 8, 8);
+            editor.edit('foo ');
+            assert.deepEqual(editor.diagnostics, [
+                {
+                    start: 12,
+                    end: 13,
+                    severity: 'error',
+                    message: 'unknown variable',
+                },
+            ]);
+
+            changeSelection(params.window, params.targetTextArea, 14, 16);
+            editor.edit('');
+            assert.equal(editor.diagnostics.length, 1);
+            assert.equal(editor.diagnostics[0].start, 12);
+
+            editor.undo();
+            editor.undo();
+            assert.equal(editor.diagnostics[0].start, 8);
+        });
+
+        it('clears diagnostics whose text is edited', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            editor.setDiagnostics([
+                { start: 3, end: 7, message: 'missing condition' },
+                { start: 8, end: 9, message: 'unknown variable' },
+            ]);
+
+            changeSelection(params.window, params.targetTextArea, 5, 5);
+            editor.edit('x');
+            assert.deepEqual(
+                editor.diagnostics.map(diagnostic => diagnostic.start),
+                [9]
+            );
+            assert.equal(
+                params.targetPre.querySelectorAll('.diagnostic').length,
+                1
+            );
+
+            editor.content = 'if a then b else c';
+            assert.deepEqual(editor.diagnostics, []);
+        });
+
+        it('follows edits of multiple selections', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            editor.setDiagnostics([
+                { start: 8, end: 9, message: 'unknown variable' },
+            ]);
+
+            changeSelection(params.window, params.targetTextArea, 0, 0);
+            editor.addSelection(15, 15);
+            editor.edit('x');
+            assert.equal(editor.content, 'xif then a else xb');
+            assert.equal(editor.diagnostics[0].start, 9);
+            assert.equal(editor.diagnostics[0].end, 10);
+        });
+    });
+
+    describe('#find()', function () {
+        it('selects and highlights matches', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            editor.content = 'if a then if b else a';
+            changeSelection(params.window, params.targetTextArea, 1, 1);
+
+            assert.deepEqual(editor.find('IF'), { start: 10, end: 12 });
+            assert.equal(editor.selectionStart, 10);
+            assert.equal(editor.selectionEnd, 12);
+            const matches = params.targetPre.querySelectorAll('.search-match');
+            assert.equal(matches.length, 2);
+            assert.equal(matches[0].className, 'keyword search-match');
+            assert.equal(
+                matches[1].className,
+                'keyword search-match current-search-match'
+            );
+
+            assert.deepEqual(editor.findNext(), { start: 0, end: 2 });
+            assert.deepEqual(editor.findNext(true), { start: 10, end: 12 });
+            assert.equal(editor.find('IF', { caseSensitive: true }), undefined);
+            assert.deepEqual(editor.searchMatches, []);
+        });
+
+        it('replaces the selected match', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            editor.content = 'a b a';
+            changeSelection(params.window, params.targetTextArea, 0, 0);
+
+            editor.find('a', { wholeWord: true });
+            assert.deepEqual(editor.replace('cc'), { start: 5, end: 6 });
+            assert.equal(editor.content, 'cc b a');
+            editor.undo();
+            assert.equal(editor.content, 'a b a');
+        });
+
+        it('replaces every match as a single step', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            editor.content = 'x1 y2 x3';
+
+            editor.find('([a-z])(\\d)', { regex: true });
+            assert.equal(editor.replaceAll('$2$1'), 3);
+            assert.equal(editor.content, '1x 2y 3x');
+            assert.deepEqual(editor.searchMatches, []);
+
+            editor.undo();
+            assert.equal(editor.content, 'x1 y2 x3');
+        });
+
+        it('Ctrl+F searches the selection and opens the panel', function () {
+            const params = makeEditorParams();
+            const requests = [];
+            params.openSearchPanel = (editor, request) => {
+                requests.push(request);
+            };
+            const editor = new Editor(params);
+            editor.content = 'if a then a';
+            changeSelection(params.window, params.targetTextArea, 3, 4);
+
+            simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                key: 'f',
+                code: 'KeyF',
+                ctrlKey: true,
+            });
+            assert.deepEqual(requests, [{ query: 'a', replace: false }]);
+            assert.equal(editor.searchMatches.length, 2);
+
+            simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                key: 'Escape',
+                code: 'Escape',
+            });
+            assert.equal(
+                params.targetPre.querySelectorAll('.search-match').length,
+                0
+            );
+        });
+    });
+
+    describe('#registerCommand()', function () {
+        it('runs commands bound in the keymap', function () {
+            const params = makeEditorParams();
+            params.keymap = { 'Ctrl+K Ctrl+U': 'upperCase' };
+            const editor = new Editor(params);
+            editor.registerCommand('upperCase', editor => {
+                editor.content = editor.content.toUpperCase();
+            });
+
+            simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                key: 'k',
+                code: 'KeyK',
+                ctrlKey: true,
+            });
+            assert.equal(editor.content, 'if then a else b');
+            simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                key: 'u',
+                code: 'KeyU',
+                ctrlKey: true,
+            });
+            assert.equal(editor.content, 'IF THEN A ELSE B');
+        });
+
+        it('unbinds default chords', function () {
+            const params = makeEditorParams();
+            params.keymap = { 'Mod+Z': null };
+            const editor = new Editor(params);
+            editor.edit('a');
+
+            simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                key: 'z',
+                code: 'KeyZ',
+                ctrlKey: true,
+            });
+            assert.equal(editor.content, 'aif then a else b');
+            assert.equal(editor.runCommand('undo'), true);
+            assert.equal(editor.content, 'if then a else b');
+        });
+
+        it('custom handling only gets unhandled keys', function () {
+            const params = makeEditorParams();
+            const keys = [];
+            params.handleKey = evt => keys.push(evt.key);
+            const editor = new Editor(params);
+            editor.registerCommand('escape', () => false);
+
+            for (const key of ['Tab', 'Escape', 'x']) {
+                simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                    key,
+                    code: key,
+                });
+            }
+            assert.deepEqual(keys, ['Escape', 'x']);
+        });
+
+        it('rejects unknown commands', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            assert.throws(() => editor.runCommand('nothing'), Error);
+        });
+    });
+
+    describe('#autoPair', function () {
+        function type(params, key, prevented) {
+            simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                key,
+                code: '',
+                content: key,
+                prevented,
+            });
+        }
+
+        it('pairs quotes unless next to a word', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            editor.content = 'a  b';
+            changeSelection(params.window, params.targetTextArea, 2, 2);
+
+            type(params, '"', true);
+            assert.equal(editor.content, 'a "" b');
+            assert.equal(editor.selectionStart, 3);
+
+            changeSelection(params.window, params.targetTextArea, 1, 1);
+            type(params, '"', false);
+            assert.equal(editor.content, 'a" "" b');
+        });
+
+        it('does not pair before a word', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 3, 3);
+
+            type(params, '(', false);
+            assert.equal(editor.content, 'if (then a else b');
+        });
+
+        it('types over closing characters', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 2, 2);
+
+            type(params, '(', true);
+            type(params, ')', true);
+            assert.equal(editor.content, 'if() then a else b');
+            assert.equal(editor.selectionStart, 4);
+
+            type(params, ')', false);
+            assert.equal(editor.content, 'if()) then a else b');
+        });
+
+        it('does not type over loaded closing characters', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            editor.content = 'f(a)';
+            changeSelection(params.window, params.targetTextArea, 3, 3);
+
+            type(params, ')', false);
+            assert.equal(editor.content, 'f(a))');
+            assert.equal(editor.selectionStart, 4);
+        });
+
+        it('wraps selections as a single step', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 8, 9);
+
+            type(params, '[', true);
+            assert.equal(editor.content, 'if then [a] else b');
+            assert.equal(editor.selectionStart, 9);
+            assert.equal(editor.selectionEnd, 10);
+
+            editor.undo();
+            assert.equal(editor.content, 'if then a else b');
+        });
+
+        it('uses the pairs of the language', function () {
+            const params = makeEditorParams();
+            params.language = { pairs: [{ open: '<', close: '>' }] };
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 2, 2);
+
+            type(params, '(', false);
+            type(params, '<', true);
+            assert.equal(editor.content, 'if(<> then a else b');
+
+            simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                key: 'Backspace',
+                code: 'Backspace',
+                prevented: true,
+            });
+            assert.equal(editor.content, 'if( then a else b');
+        });
+    });
+
+    describe('#toggleLineComment()', function () {
+        function makeCommentParams(content) {
+            const params = makeEditorParams();
+            params.targetTextArea.value = content;
+            params.language = {
+                lineComment: '//',
+                blockComment: { open: '/*', close: '*/' },
+            };
+            return params;
+        }
+
+        it('comments lines at the least indentation', function () {
+            const params = makeCommentParams('if a\n    then b\n\nelse c');
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 2, 16);
+
+            simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                key: '/',
+                code: 'Slash',
+                ctrlKey: true,
+            });
+            assert.equal(
+                editor.content,
+                '// if a\n//     then b\n\nelse c'
+            );
+            assert.equal(editor.selectionStart, 5);
+            assert.equal(editor.selectionEnd, 22);
+
+            editor.undo();
+            assert.equal(editor.content, 'if a\n    then b\n\nelse c');
+        });
+
+        it('uncomments lines if all are commented', function () {
+            const params = makeCommentParams('  // if a\n  //then b\nc');
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 0, 18);
+
+            assert.equal(editor.toggleLineComment(), true);
+            assert.equal(editor.content, '  if a\n  then b\nc');
+
+            changeSelection(params.window, params.targetTextArea, 0, 18);
+            editor.toggleLineComment();
+            assert.equal(editor.content, '//   if a\n//   then b\n// c');
+        });
+
+        it('does nothing without a line comment token', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            assert.equal(editor.toggleLineComment(), false);
+            assert.equal(editor.content, 'if then a else b');
+        });
+    });
+
+    describe('#toggleBlockComment()', function () {
+        function makeCommentParams(content) {
+            const params = makeEditorParams();
+            params.targetTextArea.value = content;
+            params.language = { blockComment: { open: '/*', close: '*/' } };
+            return params;
+        }
+
+        it('surrounds and unsurrounds selections', function () {
+            const params = makeCommentParams('if a then b');
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 3, 4);
+
+            simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                key: 'A',
+                code: 'KeyA',
+                shiftKey: true,
+                altKey: true,
+            });
+            assert.equal(editor.content, 'if /* a */ then b');
+            assert.equal(editor.selectionStart, 6);
+            assert.equal(editor.selectionEnd, 7);
+
+            editor.toggleBlockComment();
+            assert.equal(editor.content, 'if a then b');
+            assert.equal(editor.selectionStart, 3);
+            assert.equal(editor.selectionEnd, 4);
+        });
+
+        it('removes comment tokens inside the selection', function () {
+            const params = makeCommentParams('if /* a */ then b');
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 3, 10);
+
+            editor.toggleBlockComment();
+            assert.equal(editor.content, 'if a then b');
+            assert.equal(editor.selectionStart, 3);
+            assert.equal(editor.selectionEnd, 4);
+
+            editor.undo();
+            assert.equal(editor.content, 'if /* a */ then b');
+        });
+    });
+
     describe('#updateLineColumn', function () {
         it('updates after move', function () {
 
             const params = makeEditorParams();
             const editor = new Editor(params);
 
-            editor.edit('foo\nbar');
+            editor.edit('foo\nbar');
+
+            assert.equal(params.currLineSpan.textContent, '2');
+            assert.equal(params.currColumnSpan.textContent, '4');
+        });
+    });
+
+    describe('#gutter', function () {
+        it('follows lines and the cursor', function () {
+            const params = makeEditorParams();
+            params.gutter = params.document.createElement('div');
+            const editor = new Editor(params);
+            editor.load();
+            assert.equal(params.gutter.childNodes.length, 1);
+
+            editor.edit('a\nb\n');
+            assert.equal(params.gutter.childNodes.length, 3);
+            assert.equal(
+                params.gutter.childNodes[2].className,
+                'line-number active-line'
+            );
+
+            changeSelection(params.window, params.targetTextArea, 0, 0);
+            assert.equal(
+                params.gutter.childNodes[0].className,
+                'line-number active-line'
+            );
+            assert.equal(params.gutter.childNodes[2].className, 'line-number');
+
+            editor.undo();
+            assert.equal(params.gutter.childNodes.length, 1);
+        });
+
+        it('only computes lines again when the code changes', function () {
+            const params = makeEditorParams();
+            params.gutter = params.document.createElement('div');
+            const editor = new Editor(params);
+            editor.load();
+            editor.edit('a\nb\n');
+            let computed = 0;
+            const foldableRegions = editor.foldableRegions;
+            editor.foldableRegions = function () {
+                computed++;
+                return foldableRegions.call(this);
+            };
+
+            params.targetTextArea.dispatchEvent(
+                new params.window.Event('scroll')
+            );
+            changeSelection(params.window, params.targetTextArea, 0, 0);
+            assert.equal(computed, 0);
+            assert.equal(
+                params.gutter.childNodes[0].className,
+                'line-number active-line'
+            );
+
+            editor.edit('c\n');
+            assert.equal(computed, 1);
+            assert.equal(params.gutter.childNodes.length, 4);
+        });
+    });
 
-            assert.equal(params.currLineSpan.textContent, '2');
-            assert.equal(params.currColumnSpan.textContent, '4');
+    describe('#fold()', function () {
+        function makeFoldParams(content) {
+            const params = makeEditorParams();
+            params.saveCode(content);
+            params.gutter = params.document.createElement('div');
+            params.highlighter = new Highlighter(
+                {
+                    regex: /\{/,
+                    bracket: { name: 'curly', direction: 'opening' },
+                    className: 'punctuation',
+                },
+                {
+                    regex: /\}/,
+                    bracket: { name: 'curly', direction: 'closing' },
+                    className: 'punctuation',
+                },
+            );
+            return params;
+        }
+
+        const code = 'a {\n  b {\n    c\n  }\n}\nd';
+
+        it('replaces the region by a placeholder', function () {
+            const params = makeFoldParams(code);
+            const editor = new Editor(params);
+            editor.load();
+
+            assert.ok(editor.fold(0));
+            assert.deepEqual(editor.folds, [{ start: 3, end: 20 }]);
+            assert.equal(params.targetTextArea.value, 'a {…}\nd');
+            assert.equal(params.targetPre.textContent, 'a {…}\nd');
+            assert.equal(
+                params.targetPre.querySelector('.fold-placeholder')
+                    .textContent,
+                '…'
+            );
+            assert.equal(editor.content, code);
+        });
+
+        it('copies and cuts the text of folded regions', function () {
+            const params = makeFoldParams(code);
+            const editor = new Editor(params);
+            editor.load();
+            editor.fold(0);
+            changeSelection(params.window, params.targetTextArea, 0, 5);
+            const clipboard = name => {
+                const evt = new params.window.Event(name, {
+                    cancelable: true,
+                });
+                evt.clipboardData = {
+                    setData: (type, data) => {
+                        evt.copied = { type, data };
+                    },
+                };
+                params.targetTextArea.dispatchEvent(evt);
+                return evt;
+            };
+
+            const copy = clipboard('copy');
+            assert.ok(copy.defaultPrevented);
+            assert.deepEqual(copy.copied, {
+                type: 'text/plain',
+                data: 'a {\n  b {\n    c\n  }\n}',
+            });
+            assert.equal(editor.content, code);
+
+            const cut = clipboard('cut');
+            assert.equal(cut.copied.data, 'a {\n  b {\n    c\n  }\n}');
+            assert.equal(editor.content, '\nd');
+            editor.undo();
+            assert.equal(editor.content, code);
+        });
+
+        it('marks lines in the gutter with real numbers', function () {
+            const params = makeFoldParams(code);
+            const editor = new Editor(params);
+            editor.load();
+            changeSelection(params.window, params.targetTextArea, 0, 0);
+            const lines = params.gutter.childNodes;
+            assert.equal(
+                lines[0].className,
+                'line-number active-line foldable'
+            );
+            assert.equal(lines[1].className, 'line-number foldable');
+
+            editor.fold(0);
+            assert.equal(lines.length, 2);
+            assert.equal(
+                lines[0].className,
+                'line-number active-line folded'
+            );
+            assert.equal(lines[1].textContent, '6');
+
+            lines[0].click();
+            assert.deepEqual(editor.folds, []);
+            assert.equal(lines.length, 6);
+        });
+
+        it('keeps folds through edits elsewhere', function () {
+            const params = makeFoldParams(code);
+            const editor = new Editor(params);
+            editor.load();
+            editor.fold(4);
+            assert.deepEqual(editor.folds, [{ start: 9, end: 18 }]);
+
+            changeSelection(params.window, params.targetTextArea, 0, 0);
+            editor.edit('x');
+            assert.equal(editor.content, 'x' + code);
+            assert.deepEqual(editor.folds, [{ start: 10, end: 19 }]);
+            assert.equal(params.targetTextArea.value, 'xa {\n  b {…}\n}\nd');
+
+            editor.undo();
+            assert.equal(editor.content, code);
+            assert.deepEqual(editor.folds, [{ start: 9, end: 18 }]);
+        });
+
+        it('unfolds regions whose text is edited', function () {
+            const params = makeFoldParams(code);
+            const editor = new Editor(params);
+            editor.load();
+            editor.fold(0);
+            changeSelection(params.window, params.targetTextArea, 3, 3);
+            assert.equal(editor.selectionStart, 3);
+
+            editor.changeSelection(10, 10);
+            assert.deepEqual(editor.folds, []);
+            editor.edit('z');
+            assert.equal(editor.content, 'a {\n  b {\nz    c\n  }\n}\nd');
+        });
+
+        it('folds and unfolds every region', function () {
+            const params = makeFoldParams(code);
+            const editor = new Editor(params);
+            editor.load();
+
+            editor.runCommand('foldAll');
+            assert.deepEqual(editor.folds, [{ start: 3, end: 20 }]);
+            editor.runCommand('unfoldAll');
+            assert.deepEqual(editor.folds, []);
+            assert.equal(params.targetTextArea.value, code);
+        });
+    });
+
+    describe('#jumpToMatchingBracket()', function () {
+        function makeBracketParams(content) {
+            const params = makeEditorParams();
+            params.saveCode(content);
+            params.isMac = false;
+            params.highlighter = new Highlighter(
+                {
+                    regex: /\(/,
+                    bracket: { name: 'parens', direction: 'opening' },
+                    className: 'punctuation',
+                },
+                {
+                    regex: /\)/,
+                    bracket: { name: 'parens', direction: 'closing' },
+                    className: 'punctuation',
+                },
+            );
+            return params;
+        }
+
+        function pressJump(params) {
+            simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                key: '|',
+                code: 'Backslash',
+                ctrlKey: true,
+                shiftKey: true,
+            });
+        }
+
+        it('jumps between brackets on the same side', function () {
+            const params = makeBracketParams('f(a (b) c)');
+            const editor = new Editor(params);
+            editor.load();
+
+            changeSelection(params.window, params.targetTextArea, 1, 1);
+            pressJump(params);
+            assert.equal(editor.selectionStart, 9);
+            pressJump(params);
+            assert.equal(editor.selectionStart, 1);
+
+            changeSelection(params.window, params.targetTextArea, 7, 7);
+            pressJump(params);
+            assert.equal(editor.selectionStart, 5);
+            assert.equal(editor.selectionEnd, 5);
+        });
+
+        it('jumps to the closing bracket around the cursor', function () {
+            const params = makeBracketParams('f(a (b) c)');
+            const editor = new Editor(params);
+            editor.load();
+
+            changeSelection(params.window, params.targetTextArea, 3, 3);
+            assert.ok(editor.jumpToMatchingBracket());
+            assert.equal(editor.selectionStart, 9);
+
+            changeSelection(params.window, params.targetTextArea, 0, 0);
+            assert.ok(!editor.jumpToMatchingBracket());
+            assert.equal(editor.selectionStart, 0);
+        });
+    });
+
+    describe('#openCompletion()', function () {
+        function makeCompletionParams(content) {
+            const params = makeEditorParams();
+            params.saveCode(content);
+            params.completionPopup = params.document.createElement('div');
+            params.isMac = false;
+            return params;
+        }
+
+        function press(params, key, options) {
+            const keyData = { key, code: key };
+            if (key == 'Enter') {
+                keyData.content = '\n';
+                keyData.prevented = true;
+            }
+            simulateKeyOnTextArea(
+                params.window,
+                params.targetTextArea,
+                Object.assign(keyData, options)
+            );
+        }
+
+        function labels(params) {
+            return Array.from(params.completionPopup.childNodes)
+                .map(item => item.firstChild.textContent);
+        }
+
+        it('lists keywords and identifiers matching the word', function () {
+            const params = makeCompletionParams('then thermo\nth');
+            const editor = new Editor(params);
+            editor.load();
+
+            press(params, ' ', { code: 'Space', ctrlKey: true });
+            assert.deepEqual(labels(params), ['then', 'thermo']);
+            assert.equal(
+                params.completionPopup.childNodes[0].className,
+                'completion-item selected-completion'
+            );
+            assert.equal(
+                params.targetPre.querySelectorAll('.completion-anchor').length,
+                1
+            );
+        });
+
+        it('accepts the selected candidate as one step', function () {
+            const params = makeCompletionParams('then thermo\nth');
+            const editor = new Editor(params);
+            editor.load();
+
+            editor.openCompletion();
+            press(params, 'ArrowDown');
+            press(params, 'ArrowDown');
+            press(params, 'ArrowUp');
+            press(params, 'Enter');
+            assert.equal(editor.content, 'then thermo\nthermo');
+            assert.equal(editor.selectionStart, 18);
+            assert.equal(params.completionPopup.style.display, 'none');
+
+            editor.undo();
+            assert.equal(editor.content, 'then thermo\nth');
+        });
+
+        it('filters while typing and closes on Escape', function () {
+            const params = makeCompletionParams('then thermo\nth');
+            const editor = new Editor(params);
+            editor.load();
+
+            editor.openCompletion();
+            editor.edit('e');
+            assert.deepEqual(labels(params), ['then', 'thermo']);
+            editor.edit('r');
+            assert.deepEqual(labels(params), ['thermo']);
+
+            press(params, 'Escape');
+            assert.equal(params.completionPopup.style.display, 'none');
+            press(params, 'Enter');
+            assert.equal(editor.content, 'then thermo\nther\n');
+        });
+
+        it('uses registered providers', function () {
+            const params = makeCompletionParams('');
+            params.language = { completionProviders: [] };
+            params.autoComplete = true;
+            const editor = new Editor(params);
+            editor.load();
+            editor.registerCompletionProvider(context => [
+                { label: 'loop', insertText: 'loop:', detail: 'label' },
+            ]);
+
+            simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                key: 'l',
+                code: 'KeyL',
+                content: 'l',
+            });
+            assert.deepEqual(labels(params), ['loop']);
+            press(params, 'Tab');
+            assert.equal(editor.content, 'loop:');
+        });
+    });
+
+    describe('#expandSnippet()', function () {
+        function makeSnippetParams(content) {
+            const params = makeEditorParams();
+            params.saveCode(content);
+            params.isMac = false;
+            params.language = {
+                snippets: [
+                    { prefix: 'macro', body: 'macro ${1:name} {\n\t$0\n}' },
+                    { prefix: 'pair', body: '($1, ${2:b}) ~ $1' },
+                ],
+            };
+            return params;
+        }
+
+        function press(params, key, options) {
+            simulateKeyOnTextArea(
+                params.window,
+                params.targetTextArea,
+                Object.assign({ key, code: key }, options)
+            );
+        }
+
+        it('expands the prefix as one step in history', function () {
+            const params = makeSnippetParams('  macro');
+            const editor = new Editor(params);
+            editor.load();
+
+            press(params, 'Tab');
+            assert.equal(editor.content, '  macro name {\n      \n  }');
+            assert.equal(editor.selectionStart, 8);
+            assert.equal(editor.selectionEnd, 12);
+
+            editor.undo();
+            assert.equal(editor.content, '  macro');
+            assert.equal(editor.selectionStart, 7);
+        });
+
+        it('moves between tab stops with Tab and Shift+Tab', function () {
+            const params = makeSnippetParams('pair');
+            const editor = new Editor(params);
+            editor.load();
+
+            press(params, 'Tab');
+            assert.equal(editor.content, '(, b) ~ ');
+            assert.deepEqual(editor.selections, [
+                { start: 1, end: 1, primary: true },
+                { start: 8, end: 8, primary: false },
+            ]);
+            press(params, 'Tab');
+            assert.deepEqual(editor.selections, [
+                { start: 3, end: 4, primary: true },
+            ]);
+            press(params, 'Tab', { shiftKey: true });
+            assert.equal(editor.selections.length, 2);
+            press(params, 'Tab');
+            press(params, 'Tab');
+            assert.equal(editor.selectionStart, 8);
+
+            press(params, 'Tab');
+            assert.equal(editor.content, '(, b) ~     ');
+        });
+
+        it('updates mirrored tab stops together', function () {
+            const params = makeSnippetParams('pair');
+            const editor = new Editor(params);
+            editor.load();
+
+            press(params, 'Tab');
+            press(params, 'x', { code: 'KeyX', prevented: true });
+            press(params, 'y', { code: 'KeyY', prevented: true });
+            assert.equal(editor.content, '(xy, b) ~ xy');
+            press(params, 'Tab');
+            assert.equal(
+                editor.content.substring(
+                    editor.selectionStart,
+                    editor.selectionEnd
+                ),
+                'b'
+            );
+            editor.edit('z');
+            assert.equal(editor.content, '(xy, z) ~ xy');
+        });
+
+        it('stops visiting tab stops on Escape', function () {
+            const params = makeSnippetParams('pair');
+            const editor = new Editor(params);
+            editor.load();
+
+            press(params, 'Tab');
+            press(params, 'Escape');
+            press(params, 'Escape');
+            press(params, 'Tab');
+            assert.equal(editor.content, '(    , b) ~ ');
+        });
+    });
+
+    describe('#on()', function () {
+        function record(editor, names) {
+            const events = [];
+            for (const name of names) {
+                editor.on(name, payload => events.push([name, payload]));
+            }
+            return events;
+        }
+
+        it('emits undo and redo after the change', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            editor.edit('x');
+            const events = record(editor, ['change', 'undo', 'redo']);
+
+            editor.undo();
+            editor.redo();
+            const action = { start: 0, oldText: 'x', newText: '' };
+            const reverse = { start: 0, oldText: '', newText: 'x' };
+            assert.deepEqual(events, [
+                ['change', { action }],
+                ['undo', { action }],
+                ['change', { action: reverse }],
+                ['redo', { action: reverse }],
+            ]);
+
+            editor.redo();
+            assert.equal(events.length, 4);
+        });
+
+        it('emits selection changes only', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            const events = record(editor, ['selectionChange']);
+
+            changeSelection(params.window, params.targetTextArea, 2, 4);
+            changeSelection(params.window, params.targetTextArea, 2, 4);
+            editor.addSelection(8, 8);
+            assert.deepEqual(events, [
+                ['selectionChange', {
+                    selections: [{ start: 2, end: 4, primary: true }],
+                }],
+                ['selectionChange', {
+                    selections: [
+                        { start: 2, end: 4, primary: true },
+                        { start: 8, end: 8, primary: false },
+                    ],
+                }],
+            ]);
+        });
+
+        it('emits load and highlight', function () {
+            const params = makeEditorParams();
+            params.saveCode('if a');
+            const editor = new Editor(params);
+            const events = record(editor, ['load', 'highlight']);
+
+            editor.load();
+            assert.deepEqual(events, [
+                ['highlight', { action: undefined }],
+                ['load', { documentId: '', content: 'if a' }],
+            ]);
+
+            editor.edit('b');
+            assert.deepEqual(events[2], [
+                'highlight',
+                { action: { start: 4, oldText: '', newText: 'b' } },
+            ]);
+        });
+    });
+
+    describe('#storage', function () {
+        function makeAsyncStorage() {
+            const values = new Map();
+            const saves = [];
+            return {
+                values,
+                saves,
+                load: key => Promise.resolve(values.get(key)),
+                save: (key, value) => new Promise(resolve => {
+                    saves.push(() => {
+                        values.set(key, value);
+                        resolve();
+                    });
+                }),
+            };
+        }
+
+        it('only saves when the code changes', function () {
+            const params = makeEditorParams();
+            const saved = [];
+            params.saveCode = code => saved.push(code);
+            const editor = new Editor(params);
+
+            changeSelection(params.window, params.targetTextArea, 2, 2);
+            assert.deepEqual(saved, []);
+            editor.edit('x');
+            assert.deepEqual(saved, ['ifx then a else b']);
+            changeSelection(params.window, params.targetTextArea, 0, 0);
+            assert.equal(saved.length, 1);
+            assert.ok(!editor.isDirty);
+        });
+
+        it('saves history in the given format', function () {
+            const params = makeEditorParams();
+            params.historyFormat = { mergeRuns: true, compress: true };
+            params.historyMergeTimeout = 0;
+            const editor = new Editor(params);
+
+            changeSelection(params.window, params.targetTextArea, 2, 2);
+            editor.edit('x');
+            editor.edit('y');
+            const data = params.loadCodeHist();
+            assert.equal(data.version, 2);
+            assert.equal(typeof data.compressed, 'string');
+
+            editor.history.import(data);
+            assert.equal(editor.history.export().entries.length, 1);
+        });
+
+        it('emits change events with the action', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            const changes = [];
+            const listener = change => changes.push(change);
+            editor.on('change', listener);
+
+            changeSelection(params.window, params.targetTextArea, 2, 2);
+            editor.edit(' x');
+            assert.deepEqual(changes, [
+                { action: { start: 2, oldText: '', newText: ' x' } },
+            ]);
+
+            editor.off('change', listener);
+            editor.edit('y');
+            assert.equal(changes.length, 1);
+        });
+
+        it('debounces saves until the delay passes', function (done) {
+            const params = makeEditorParams();
+            params.storage = new MemoryStorage();
+            params.autosaveDelay = 20;
+            const editor = new Editor(params);
+
+            editor.edit('a');
+            editor.edit('b');
+            assert.ok(editor.isDirty);
+            assert.equal(params.storage.load('code'), undefined);
+
+            setTimeout(() => {
+                assert.ok(!editor.isDirty);
+                assert.equal(params.storage.load('code'), 'abif then a else b');
+                assert.equal(params.storage.load('history').cursor, 2);
+                done();
+            }, 50);
+        });
+
+        it('flushes pending changes right away', async function () {
+            const params = makeEditorParams();
+            params.storage = new MemoryStorage();
+            params.autosaveDelay = 60000;
+            const editor = new Editor(params);
+
+            editor.edit('a');
+            await editor.flush();
+            assert.ok(!editor.isDirty);
+            assert.equal(params.storage.load('code'), 'aif then a else b');
+        });
+
+        it('keeps changes unsaved when saving throws', async function () {
+            const params = makeEditorParams();
+            const storage = new MemoryStorage();
+            let failing = true;
+            const tried = [];
+            params.storage = {
+                load: (key, id) => storage.load(key, id),
+                save: (key, value, id) => {
+                    tried.push(key);
+                    if (failing) {
+                        throw new Error('quota exceeded');
+                    }
+                    storage.save(key, value, id);
+                },
+            };
+            const editor = new Editor(params);
+
+            changeSelection(params.window, params.targetTextArea, 0, 2);
+            editor.edit('XY');
+            assert.equal(editor.content, 'XY then a else b');
+            assert.ok(editor.activeDocument.unsaved.code);
+            assert.ok(editor.activeDocument.unsaved.history);
+            tried.length = 0;
+            await assert.rejects(editor.flush(), /quota exceeded/);
+            assert.deepEqual(tried, ['code', 'history']);
+            assert.ok(editor.isDirty);
+
+            failing = false;
+            await editor.flush();
+            assert.ok(!editor.isDirty);
+            assert.equal(storage.load('code'), 'XY then a else b');
+            editor.undo();
+            assert.equal(editor.content, 'if then a else b');
+        });
+
+        it('stays dirty until asynchronous saves end', async function () {
+            const params = makeEditorParams();
+            params.storage = makeAsyncStorage();
+            params.storage.values.set('code', 'if a then b');
+            const editor = new Editor(params);
+
+            await editor.load();
+            assert.equal(editor.content, 'if a then b');
+            assert.ok(!editor.isDirty);
+
+            editor.edit('x');
+            assert.ok(editor.isDirty);
+            const flushed = editor.flush();
+            for (const save of params.storage.saves) {
+                save();
+            }
+            await flushed;
+            assert.ok(!editor.isDirty);
+            assert.equal(params.storage.values.get('code'), 'if a then bx');
+        });
+
+        it('resets invalid history from storage', async function () {
+            const params = makeEditorParams();
+            params.storage = makeAsyncStorage();
+            params.storage.values.set('history', { cursor: 'bad' });
+            params.storage.values.set('code', 'if a then b');
+            const editor = new Editor(params);
+
+            await editor.load();
+            assert.equal(editor.content, 'if a then b');
+            assert.ok(editor.isDirty);
+            for (const save of params.storage.saves) {
+                save();
+            }
+            await editor.flush();
+            assert.deepEqual(
+                params.storage.values.get('history'),
+                {
+                    version: 2,
+                    cursor: 0,
+                    entries: [],
+                    fingerprint: History.fingerprint('if a then b'),
+                }
+            );
+        });
+
+        it('rebases history saved with other code', function () {
+            const params = makeEditorParams();
+            params.storage = new MemoryStorage();
+            params.storage.save('code', 'if a then b');
+            const editor = new Editor(params);
+            editor.load();
+            changeSelection(params.window, params.targetTextArea, 11, 11);
+            editor.edit('\nelse c');
+            params.storage.save('code', 'if abc then b\nelse c');
+
+            const reloaded = new Editor(params);
+            reloaded.load();
+            assert.ok(!reloaded.isDirty);
+            reloaded.undo();
+            assert.equal(reloaded.content, 'if abc then b');
+            assert.deepEqual(
+                params.storage.load('history').fingerprint,
+                History.fingerprint('if abc then b')
+            );
+        });
+
+        it('reports history saved with other code', function () {
+            const params = makeEditorParams();
+            params.storage = new MemoryStorage();
+            params.storage.save('code', 'if a then b');
+            const editor = new Editor(params);
+            editor.load();
+            editor.edit('c');
+            params.storage.save('code', 'if a then bd');
+
+            const mismatches = [];
+            params.historyMismatch = mismatch => {
+                mismatches.push(mismatch.documentId, mismatch.content);
+                return 'reset';
+            };
+            const reloaded = new Editor(params);
+            reloaded.load();
+            assert.deepEqual(mismatches, ['', 'if a then bd']);
+            assert.deepEqual(params.storage.load('history').entries, []);
+        });
+    });
+
+    describe('#openDocument()', function () {
+        function makeDocumentParams() {
+            const params = makeEditorParams();
+            params.storage = new MemoryStorage();
+            params.storage.save('code', 'if a then b');
+            params.storage.save('code', 'macro m', 'macros');
+            return params;
+        }
+
+        it('swaps content, selection and scroll', function () {
+            const params = makeDocumentParams();
+            const editor = new Editor(params);
+            editor.load();
+            changeSelection(params.window, params.targetTextArea, 3, 4);
+            editor.addSelection(10, 11);
+            params.targetTextArea.scrollTop = 7;
+
+            editor.openDocument('macros');
+            assert.equal(editor.documentId, 'macros');
+            assert.deepEqual(editor.documentIds, ['', 'macros']);
+            assert.equal(editor.content, 'macro m');
+            assert.equal(params.targetPre.textContent, 'macro m');
+            assert.equal(editor.selections.length, 1);
+            assert.equal(params.targetTextArea.scrollTop, 0);
+
+            editor.switchTo('');
+            assert.equal(editor.content, 'if a then b');
+            assert.deepEqual(editor.selections.map(selection => [
+                selection.start,
+                selection.end,
+            ]), [[3, 4], [10, 11]]);
+            assert.equal(params.targetTextArea.scrollTop, 7);
+        });
+
+        it('keeps a history and storage per document', function () {
+            const params = makeDocumentParams();
+            const editor = new Editor(params);
+            editor.load();
+            editor.edit('x');
+
+            editor.openDocument('macros');
+            editor.edit('y');
+            assert.equal(params.storage.load('code', 'macros'), 'ymacro m');
+            assert.equal(params.storage.load('code'), 'if a then bx');
+
+            editor.switchTo('');
+            editor.undo();
+            assert.equal(editor.content, 'if a then b');
+            editor.undo();
+            assert.equal(editor.content, 'if a then b');
+
+            editor.openDocument('macros');
+            assert.equal(editor.content, 'ymacro m');
+            editor.undo();
+            assert.equal(editor.content, 'macro m');
+            assert.equal(params.storage.load('code', 'macros'), 'macro m');
+        });
+
+        it('loads from asynchronous storage', async function () {
+            const params = makeEditorParams();
+            const storage = new MemoryStorage();
+            storage.save('code', 'macro m', 'macros');
+            params.storage = {
+                load: (key, id) => Promise.resolve(storage.load(key, id)),
+                save: (key, value, id) => storage.save(key, value, id),
+            };
+            const editor = new Editor(params);
+
+            await editor.openDocument('macros');
+            assert.equal(editor.content, 'macro m');
+            assert.ok(!editor.isDirty);
+        });
+
+        it('rejects documents not open', function () {
+            const params = makeDocumentParams();
+            const editor = new Editor(params);
+            assert.throws(() => editor.switchTo('macros'), DocumentError);
         });
     });
 
@@ -284,7 +1930,7 @@ describe('Editor', function () {
                 assert.equal(params.loadCode(), 'ifcen a else b');
                 editor.undo();
                 assert.equal(editor.content, 'if then a else b');
-                assert.equal(editor.selectionStart, 5);
+                assert.equal(editor.selectionStart, 2);
                 assert.equal(editor.selectionEnd, 5);
                 assert.equal(params.loadCode(), 'if then a else b');
             });
@@ -292,6 +1938,7 @@ describe('Editor', function () {
 
         it('events with redo', function () {
             const params = makeEditorParams();
+            params.historyMergeTimeout = 0;
             const editor = new Editor(params);
             changeSelection(params.window, params.targetTextArea, 2, 5);
 
@@ -322,6 +1969,28 @@ describe('Editor', function () {
             });
         });
 
+        it('typing is undone as a single step', function () {
+            const params = makeEditorParams();
+            const editor = new Editor(params);
+            changeSelection(params.window, params.targetTextArea, 2, 2);
+
+            for (const key of ['x', 'y']) {
+                simulateKeyOnTextArea(params.window, params.targetTextArea, {
+                    key,
+                    code: 'Key' + key.toUpperCase(),
+                    content: key,
+                });
+            }
+
+            setImmediate(() => {
+                assert.equal(editor.content, 'ifxy then a else b');
+                editor.undo();
+                assert.equal(editor.content, 'if then a else b');
+                assert.equal(editor.selectionStart, 2);
+                assert.equal(editor.selectionEnd, 2);
+            });
+        });
+
         it('delete parenthesis', function () {
             const params = makeEditorParams();
             const editor = new Editor(params);
@@ -450,6 +2119,18 @@ describe('Editor', function () {
         };
     }
 
+    function clickTextArea(window, element, position, altKey) {
+        element.dispatchEvent(new window.MouseEvent('mousedown', {
+            bubbles: true,
+            altKey,
+        }));
+        changeSelection(window, element, position, position);
+        element.dispatchEvent(new window.MouseEvent('click', {
+            bubbles: true,
+            altKey,
+        }));
+    }
+
     function dispatchSelectionEvent(window, element) {
         element.dispatchEvent(new window.Event('selectionchange', {
             bubbles: true,
@@ -469,8 +2150,9 @@ describe('Editor', function () {
             code: keyData.code,
             ctrlKey: keyData.ctrlKey || false,
             cmdKey: keyData.ctrlKey || false,
+            shiftKey: keyData.shiftKey || false,
             altKey: keyData.altKey || false,
-            metaKey: keyData.altKey || false,
+            metaKey: keyData.metaKey || false,
             isComposing: true,
             cancelabe: true,
         };
@@ -0,0 +1,106 @@
+import * as assert from 'assert';
+import { JSDOM } from 'jsdom';
+import { FoldedBuffer } from '../folding.js';
+
+describe('FoldedBuffer', function () {
+    function makeBuffer(content) {
+        const dom = new JSDOM(
+            '<!DOCTYPE html>'
+            + '<textarea id="back"></textarea>'
+        );
+        const textArea = dom.window.document.getElementById('back');
+        textArea.value = content;
+        return { textArea, buffer: new FoldedBuffer(textArea) };
+    }
+
+    describe('#fold()', function () {
+        it('replaces the region by a placeholder', function () {
+            const { textArea, buffer } = makeBuffer('a {\n  b\n} c');
+            buffer.fold(3, 8);
+            assert.equal(textArea.value, 'a {…} c');
+            assert.equal(buffer.value, 'a {\n  b\n} c');
+            assert.deepEqual(buffer.regions, [{ start: 3, end: 8 }]);
+        });
+
+        it('moves the selection out of the region', function () {
+            const { textArea, buffer } = makeBuffer('a {\n  b\n} c');
+            buffer.selectionStart = 5;
+            buffer.selectionEnd = 10;
+            buffer.fold(3, 8);
+            assert.equal(buffer.selectionStart, 3);
+            assert.equal(buffer.selectionEnd, 10);
+            assert.equal(textArea.selectionStart, 3);
+            assert.equal(textArea.selectionEnd, 6);
+        });
+
+        it('hides the folds inside the region', function () {
+            const { buffer } = makeBuffer('{ { x } }');
+            buffer.fold(3, 6);
+            buffer.fold(1, 8);
+            assert.deepEqual(buffer.regions, [{ start: 1, end: 8 }]);
+        });
+    });
+
+    describe('#toVisible()', function () {
+        it('translates positions around placeholders', function () {
+            const { buffer } = makeBuffer('a {\n  b\n} c {\n} d');
+            buffer.fold(3, 8);
+            buffer.fold(13, 14);
+            assert.equal(buffer.toVisible(2, false), 2);
+            assert.equal(buffer.toVisible(3, false), 3);
+            assert.equal(buffer.toVisible(5, false), 3);
+            assert.equal(buffer.toVisible(5, true), 4);
+            assert.equal(buffer.toVisible(8, false), 4);
+            assert.equal(buffer.toVisible(16, false), 12);
+            assert.equal(buffer.toFull(4), 8);
+            assert.equal(buffer.toFull(12), 16);
+        });
+    });
+
+    describe('#value', function () {
+        it('follows text typed in the textarea', function () {
+            const { textArea, buffer } = makeBuffer('a {\n  b\n} c');
+            buffer.fold(3, 8);
+            textArea.value = 'xa {…} c';
+            assert.equal(buffer.value, 'xa {\n  b\n} c');
+            textArea.value = 'xa {…} cy';
+            assert.equal(buffer.value, 'xa {\n  b\n} cy');
+            assert.deepEqual(buffer.regions, [{ start: 4, end: 9 }]);
+        });
+
+        it('places text typed before a placeholder before it', function () {
+            const { textArea, buffer } = makeBuffer('a {\n  b\n} c');
+            buffer.fold(3, 8);
+            textArea.value = 'a {……} c';
+            textArea.selectionStart = 4;
+            textArea.selectionEnd = 4;
+            assert.equal(buffer.value, 'a {…\n  b\n} c');
+            assert.deepEqual(buffer.regions, [{ start: 4, end: 9 }]);
+        });
+
+        it('unfolds regions whose text is replaced', function () {
+            const { textArea, buffer } = makeBuffer('a {\n  b\n} c');
+            buffer.fold(3, 8);
+            textArea.value = 'a {} c';
+            assert.equal(buffer.value, 'a {} c');
+            assert.deepEqual(buffer.regions, []);
+
+            buffer.value = 'a {\n  b\n} c';
+            buffer.fold(3, 8);
+            buffer.value = 'a {\n  e\n} c';
+            assert.deepEqual(buffer.regions, []);
+            assert.equal(textArea.value, 'a {\n  e\n} c');
+        });
+    });
+
+    describe('#reveal()', function () {
+        it('only unfolds regions hiding the positions', function () {
+            const { buffer } = makeBuffer('a {\n  b\n} c');
+            buffer.fold(3, 8);
+            buffer.reveal(3, 8);
+            assert.deepEqual(buffer.regions, [{ start: 3, end: 8 }]);
+            buffer.reveal(5, 5);
+            assert.deepEqual(buffer.regions, []);
+        });
+    });
+});
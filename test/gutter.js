@@ -0,0 +1,139 @@
+import * as assert from 'assert';
+import { JSDOM } from 'jsdom';
+import { Gutter } from '../gutter.js';
+
+describe('Gutter', function () {
+    function makeGutter() {
+        const dom = new JSDOM(
+            '<!DOCTYPE html>'
+            + '<div id="gutter"></div>'
+        );
+        const document = dom.window.document;
+        const element = document.getElementById('gutter');
+        return { element, gutter: new Gutter(element, document) };
+    }
+
+    function numbered(count) {
+        const lines = [];
+        for (let i = 1; i <= count; i++) {
+            lines.push({ number: i });
+        }
+        return lines;
+    }
+
+    describe('#update()', function () {
+        it('displays a number for every line', function () {
+            const { element, gutter } = makeGutter();
+            gutter.update(numbered(3), 0);
+            assert.equal(element.childNodes.length, 3);
+            assert.equal(element.childNodes[0].textContent, '1');
+            assert.equal(element.childNodes[1].textContent, '2');
+            assert.equal(element.childNodes[2].textContent, '3');
+        });
+
+        it('highlights the active line', function () {
+            const { element, gutter } = makeGutter();
+            gutter.update(numbered(3), 1);
+            assert.equal(element.childNodes[0].className, 'line-number');
+            assert.equal(
+                element.childNodes[1].className,
+                'line-number active-line'
+            );
+
+            gutter.update(numbered(3), 2);
+            assert.equal(element.childNodes[1].className, 'line-number');
+            assert.equal(
+                element.childNodes[2].className,
+                'line-number active-line'
+            );
+        });
+
+        it('keeps the elements of lines still present', function () {
+            const { element, gutter } = makeGutter();
+            gutter.update(numbered(4), 0);
+            const first = element.childNodes[0];
+            const second = element.childNodes[1];
+
+            gutter.update(numbered(2), 0);
+            assert.equal(element.childNodes.length, 2);
+            assert.strictEqual(element.childNodes[0], first);
+            assert.strictEqual(element.childNodes[1], second);
+
+            gutter.update(numbered(5), 4);
+            assert.equal(element.childNodes.length, 5);
+            assert.strictEqual(element.childNodes[0], first);
+            assert.equal(element.childNodes[4].textContent, '5');
+        });
+    });
+
+    describe('fold markers', function () {
+        it('displays the marker of every line', function () {
+            const { element, gutter } = makeGutter();
+            gutter.update([
+                { number: 1, marker: 'foldable' },
+                { number: 2, marker: 'folded' },
+                { number: 5 },
+            ], 0);
+            assert.equal(
+                element.childNodes[0].className,
+                'line-number active-line foldable'
+            );
+            assert.equal(
+                element.childNodes[1].className,
+                'line-number folded'
+            );
+            assert.equal(element.childNodes[2].className, 'line-number');
+            assert.equal(element.childNodes[2].textContent, '5');
+        });
+
+        it('reports clicks on markers', function () {
+            const dom = new JSDOM(
+                '<!DOCTYPE html>'
+                + '<div id="gutter"></div>'
+            );
+            const document = dom.window.document;
+            const element = document.getElementById('gutter');
+            const clicked = [];
+            const gutter = new Gutter(
+                element,
+                document,
+                line => clicked.push(line)
+            );
+            gutter.update([
+                { number: 1 },
+                { number: 2, marker: 'foldable' },
+            ], 0);
+
+            element.childNodes[0].click();
+            element.childNodes[1].click();
+            assert.deepEqual(clicked, [1]);
+        });
+    });
+
+    describe('#activate()', function () {
+        it('moves the active line keeping markers', function () {
+            const { element, gutter } = makeGutter();
+            gutter.update([
+                { number: 1, marker: 'foldable' },
+                { number: 2 },
+            ], 0);
+            gutter.activate(1);
+            assert.equal(
+                element.childNodes[0].className,
+                'line-number foldable'
+            );
+            assert.equal(
+                element.childNodes[1].className,
+                'line-number active-line'
+            );
+        });
+    });
+
+    describe('#syncScroll()', function () {
+        it('follows the given scroll', function () {
+            const { element, gutter } = makeGutter();
+            gutter.syncScroll(7);
+            assert.equal(element.scrollTop, 7);
+        });
+    });
+});
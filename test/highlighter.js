@@ -207,4 +207,440 @@ describe('Highlighter', function () {
             assert.equal(complexFront.childNodes[23].className, '');
         });
     });
+
+    describe('#highlight(incremental)', function () {
+        function makeIncremental(text) {
+            const dom = new JSDOM(
+                '<!DOCTYPE html>'
+                + '<textarea id="back"></textarea>'
+                + '<pre id="front"></pre>'
+                + '<pre id="full"></pre>'
+            );
+            const document = dom.window.document;
+            const back = document.getElementById('back');
+            back.value = text;
+            const front = document.getElementById('front');
+            highlighter.highlight(back, front, document);
+            return {
+                back,
+                front,
+                full: document.getElementById('full'),
+                document,
+            };
+        }
+
+        function applyAndCompare(env, action) {
+            const text = env.back.value;
+            const end = action.start + action.oldText.length;
+            env.back.value = (
+                text.substring(0, action.start)
+                + action.newText
+                + text.substring(end)
+            );
+            const cursor = action.start + action.newText.length;
+            env.back.selectionStart = cursor;
+            env.back.selectionEnd = cursor;
+            highlighter.highlight(env.back, env.front, env.document, action);
+            highlighter.highlight(env.back, env.full, env.document);
+            assert.equal(env.front.innerHTML, env.full.innerHTML);
+        }
+
+        it('inserting a token matches a full highlight', function () {
+            const env = makeIncremental('if a\nthen (succ 0)\nelse b');
+            applyAndCompare(env, { start: 9, oldText: '', newText: 'x' });
+            applyAndCompare(env, { start: 4, oldText: '', newText: ' else' });
+            applyAndCompare(env, { start: 0, oldText: '', newText: '(' });
+        });
+
+        it('deleting across lines matches a full highlight', function () {
+            const env = makeIncremental('if a\nthen (succ 0)\nelse b');
+            applyAndCompare(env, { start: 3, oldText: 'a\nthen (', newText: '' });
+            applyAndCompare(env, {
+                start: 3,
+                oldText: 'succ',
+                newText: 'iszero\n\n',
+            });
+        });
+
+        it('breaking and joining a token matches a full highlight', function () {
+            const env = makeIncremental('if a then b else c');
+            applyAndCompare(env, { start: 7, oldText: '', newText: ' ' });
+            applyAndCompare(env, { start: 7, oldText: ' ', newText: '' });
+            applyAndCompare(env, { start: 17, oldText: '', newText: 'x' });
+        });
+
+        it('nodes outside the edited region are kept', function () {
+            const env = makeIncremental('if a\nthen b\nelse c\nif d');
+            const firstNode = env.front.childNodes[0];
+            const lastNode = env.front.childNodes[6];
+            applyAndCompare(env, { start: 11, oldText: '', newText: ' 0' });
+            assert.strictEqual(env.front.childNodes[0], firstNode);
+            assert.equal(env.front.childNodes[0].textContent, 'if');
+            assert.strictEqual(env.front.childNodes[8], lastNode);
+            assert.equal(env.front.childNodes[8].textContent, 'if');
+        });
+
+        it('an action that does not match falls back to full', function () {
+            const env = makeIncremental('if a then b');
+            env.back.value = 'if a then b else c';
+            highlighter.highlight(
+                env.back,
+                env.front,
+                env.document,
+                { start: 0, oldText: '', newText: 'x' },
+            );
+            highlighter.highlight(env.back, env.full, env.document);
+            assert.equal(env.front.innerHTML, env.full.innerHTML);
+        });
+
+        it('selected brackets follow the cursor', function () {
+            const env = makeIncremental('(succ (0))');
+            env.back.selectionStart = 0;
+            env.back.selectionEnd = 0;
+            highlighter.highlight(env.back, env.front, env.document);
+            assert.equal(
+                env.front.childNodes[0].className,
+                'punctuation selected-bracket',
+            );
+            env.back.selectionStart = 6;
+            env.back.selectionEnd = 6;
+            highlighter.highlight(env.back, env.front, env.document);
+            highlighter.highlight(env.back, env.full, env.document);
+            assert.equal(env.front.childNodes[0].className, 'punctuation');
+            assert.equal(env.front.innerHTML, env.full.innerHTML);
+        });
+    });
+
+    describe('#highlight(brackets)', function () {
+        function bracketClasses(text, cursor, rainbow) {
+            const dom = new JSDOM(
+                '<!DOCTYPE html>'
+                + '<textarea id="back"></textarea>'
+                + '<pre id="front"></pre>'
+            );
+            const document = dom.window.document;
+            const back = document.getElementById('back');
+            const front = document.getElementById('front');
+            const bracketed = new Highlighter(
+                {
+                    regex: /\(/,
+                    bracket: { name: 'parens', direction: 'opening' },
+                    className: 'p',
+                },
+                {
+                    regex: /\)/,
+                    bracket: { name: 'parens', direction: 'closing' },
+                    className: 'p',
+                },
+                {
+                    regex: /\[/,
+                    bracket: { name: 'squares', direction: 'opening' },
+                    className: 's',
+                },
+                {
+                    regex: /\]/,
+                    bracket: { name: 'squares', direction: 'closing' },
+                    className: 's',
+                },
+            );
+            bracketed.setRainbowDepths(rainbow || 0);
+            back.value = text;
+            back.selectionStart = cursor;
+            back.selectionEnd = cursor;
+            bracketed.highlight(back, front, document);
+            return Array.from(front.querySelectorAll('span'))
+                .map(span => span.className);
+        }
+
+        it('matches brackets with the cursor after them', function () {
+            assert.deepEqual(bracketClasses('(a)', 3), [
+                'p selected-bracket',
+                'p selected-bracket',
+            ]);
+            assert.deepEqual(bracketClasses('(a)', 1), [
+                'p selected-bracket',
+                'p selected-bracket',
+            ]);
+            assert.deepEqual(bracketClasses('(a)', 2), [
+                'p selected-bracket',
+                'p selected-bracket',
+            ]);
+        });
+
+        it('prefers the bracket after the cursor', function () {
+            assert.deepEqual(bracketClasses('[a]()', 3), [
+                's',
+                's',
+                'p selected-bracket',
+                'p selected-bracket',
+            ]);
+        });
+
+        it('marks unmatched and mismatched brackets', function () {
+            assert.deepEqual(bracketClasses('(a]', 0), [
+                'p unmatched-bracket',
+                's unmatched-bracket',
+            ]);
+            assert.deepEqual(bracketClasses('([a)', 0), [
+                'p selected-bracket',
+                's unmatched-bracket',
+                'p selected-bracket',
+            ]);
+            assert.deepEqual(bracketClasses('a)', 0), [
+                'p unmatched-bracket',
+            ]);
+        });
+
+        it('gives depth classes when enabled', function () {
+            assert.deepEqual(bracketClasses('([()]) (', 8, 2), [
+                'p bracket-depth-0',
+                's bracket-depth-1',
+                'p bracket-depth-0',
+                'p bracket-depth-0',
+                's bracket-depth-1',
+                'p bracket-depth-0',
+                'p unmatched-bracket',
+            ]);
+        });
+    });
+
+    describe('#highlight(states)', function () {
+        const stateful = new Highlighter(
+            {
+                regex: /\bmacro\b/,
+                className: 'keyword',
+                push: 'macro',
+            },
+            {
+                regex: /\bend\b/,
+                className: 'keyword',
+                states: ['macro'],
+                pop: true,
+            },
+            {
+                regex: /\b[a-z]+\b/,
+                className: 'parameter',
+                states: ['macro'],
+            },
+            {
+                regex: /\/\*/,
+                className: 'comment',
+                states: ['root', 'macro'],
+                push: 'comment',
+            },
+            {
+                regex: /\*\//,
+                className: 'comment',
+                states: ['comment'],
+                pop: true,
+            },
+            {
+                regex: /[^*]+|\*/,
+                className: 'comment',
+                states: ['comment'],
+            },
+        );
+
+        const dom = new JSDOM(
+            '<!DOCTYPE html>'
+            + '<textarea id="back"></textarea>'
+            + '<pre id="front"></pre>'
+            + '<pre id="full"></pre>'
+        );
+        const document = dom.window.document;
+        const back = document.getElementById('back');
+        const front = document.getElementById('front');
+        const full = document.getElementById('full');
+
+        function classesOf(target) {
+            return Array.from(target.childNodes)
+                .filter(node => node.textContent != '')
+                .map(node => [node.textContent, node.className || '']);
+        }
+
+        it('rules apply only in their states', function () {
+            back.value = 'a macro a\nb end a';
+            stateful.highlight(back, front, document);
+            assert.deepEqual(classesOf(front), [
+                ['a ', ''],
+                ['macro', 'keyword'],
+                [' ', ''],
+                ['a', 'parameter'],
+                ['\n', ''],
+                ['b', 'parameter'],
+                [' ', ''],
+                ['end', 'keyword'],
+                [' a', ''],
+            ]);
+        });
+
+        it('states span multiple lines', function () {
+            back.value = 'a /* end\n* macro */ macro';
+            stateful.highlight(back, front, document);
+            assert.deepEqual(classesOf(front), [
+                ['a ', ''],
+                ['/*', 'comment'],
+                [' end\n', 'comment'],
+                ['*', 'comment'],
+                [' macro ', 'comment'],
+                ['*/', 'comment'],
+                [' ', ''],
+                ['macro', 'keyword'],
+            ]);
+        });
+
+        it('edits changing states match a full highlight', function () {
+            back.value = 'macro a\nb end\nc\nmacro d end';
+            stateful.highlight(back, front, document);
+
+            const actions = [
+                { start: 6, oldText: '', newText: '/*' },
+                { start: 15, oldText: '', newText: '*/' },
+                { start: 15, oldText: '*/', newText: '' },
+                { start: 6, oldText: '/*', newText: '' },
+                { start: 10, oldText: 'end', newText: 'e' },
+            ];
+            for (const action of actions) {
+                const text = back.value;
+                back.value = (
+                    text.substring(0, action.start)
+                    + action.newText
+                    + text.substring(action.start + action.oldText.length)
+                );
+                stateful.highlight(back, front, document, action);
+                stateful.highlight(back, full, document);
+                assert.equal(front.innerHTML, full.innerHTML);
+            }
+        });
+    });
+
+    describe('#highlight(decorations)', function () {
+        const dom = new JSDOM(
+            '<!DOCTYPE html>'
+            + '<textarea id="back">if (a) b</textarea>'
+            + '<pre id="front"></pre>'
+        );
+        const document = dom.window.document;
+        const back = document.getElementById('back');
+        const front = document.getElementById('front');
+
+        it('ranges split and decorate pieces', function () {
+            highlighter.highlight(back, front, document, undefined, [
+                { start: 1, end: 5, className: 'marked', title: 'note' },
+            ]);
+            assert.equal(
+                front.innerHTML,
+                '<span class="keyword">i</span>'
+                + '<span class="keyword marked" title="note">f</span>'
+                + '<span class="marked" title="note"> </span>'
+                + '<span class="punctuation marked" title="note">(</span>'
+                + '<span class="marked" title="note">a</span>'
+                + '<span class="punctuation">)</span> b<br>'
+            );
+        });
+
+        it('empty ranges insert empty elements', function () {
+            highlighter.highlight(back, front, document, undefined, [
+                { start: 8, end: 8, className: 'caret' },
+                { start: 0, end: 0, className: 'caret' },
+            ]);
+            assert.equal(
+                front.innerHTML,
+                '<span class="caret"></span><span class="keyword">if</span> '
+                + '<span class="punctuation">(</span>a'
+                + '<span class="punctuation">)</span> b'
+                + '<span class="caret"></span><br>'
+            );
+        });
+
+        it('removed decorations restore plain pieces', function () {
+            highlighter.highlight(back, front, document, undefined, []);
+            assert.equal(
+                front.innerHTML,
+                '<span class="keyword">if</span> '
+                + '<span class="punctuation">(</span>a'
+                + '<span class="punctuation">)</span> b<br>'
+            );
+        });
+    });
+
+    describe('#tokenize()', function () {
+        it('lists the tokens recognized by the rules', function () {
+            assert.deepEqual(highlighter.tokenize('if (a) then 0'), [
+                {
+                    start: 0,
+                    end: 2,
+                    text: 'if',
+                    className: 'keyword',
+                    bracket: undefined,
+                },
+                {
+                    start: 3,
+                    end: 4,
+                    text: '(',
+                    className: 'punctuation',
+                    bracket: { name: 'parens', direction: 'opening' },
+                },
+                {
+                    start: 5,
+                    end: 6,
+                    text: ')',
+                    className: 'punctuation',
+                    bracket: { name: 'parens', direction: 'closing' },
+                },
+                {
+                    start: 7,
+                    end: 11,
+                    text: 'then',
+                    className: 'keyword',
+                    bracket: undefined,
+                },
+                {
+                    start: 12,
+                    end: 13,
+                    text: '0',
+                    className: 'literal',
+                    bracket: undefined,
+                },
+            ]);
+        });
+    });
+
+    describe('#renderHTML()', function () {
+        it('renders the same HTML as highlighted in a pre', function () {
+            const dom = new JSDOM(
+                '<!DOCTYPE html>'
+                + '<textarea id="back">if (a) b)</textarea>'
+                + '<pre id="front"></pre>'
+            );
+            const document = dom.window.document;
+            const back = document.getElementById('back');
+            const front = document.getElementById('front');
+            const decorations = [
+                { start: 1, end: 5, className: 'marked', title: 'note' },
+                { start: 9, end: 9, className: 'caret' },
+            ];
+            back.selectionStart = 0;
+            back.selectionEnd = 0;
+            highlighter.highlight(
+                back,
+                front,
+                document,
+                undefined,
+                decorations
+            );
+            assert.equal(
+                highlighter.renderHTML('if (a) b)', decorations) + '<br>',
+                front.innerHTML
+            );
+        });
+
+        it('escapes the text', function () {
+            assert.equal(
+                highlighter.renderHTML('if a<b && "c"'),
+                '<span class="keyword">if</span> a&lt;b &amp;&amp; '
+                + '&quot;c&quot;'
+            );
+        });
+    });
 });
@@ -1,6 +1,6 @@
 import * as assert from 'assert';
 import { JSDOM } from 'jsdom';
-import { History } from '../history.js';
+import { History, HistoryError } from '../history.js';
 
 describe('History', function () {
     function getElement() {
@@ -20,6 +20,7 @@ describe('History', function () {
             assert.deepEqual(
                 history.export(),
                 {
+                    version: 2,
                     cursor: 3,
                     entries: [
                         { start: 4, oldText: '', newText: 'id' },
@@ -40,6 +41,7 @@ describe('History', function () {
             assert.deepEqual(
                 history.export(),
                 {
+                    version: 2,
                     cursor: 2,
                     entries: [
                         { start: 4, oldText: '', newText: 'id' },
@@ -54,7 +56,7 @@ describe('History', function () {
             const history = new History();
             assert.deepEqual(
                 history.export(),
-                { cursor: 0, entries: [] },
+                { version: 2, cursor: 0, entries: [] },
             );
         });
     });
@@ -73,6 +75,7 @@ describe('History', function () {
             assert.deepEqual(
                 history.export(),
                 {
+                    version: 2,
                     cursor: 3,
                     entries: [
                         { start: 4, oldText: '', newText: 'id' },
@@ -96,6 +99,7 @@ describe('History', function () {
             assert.deepEqual(
                 history.export(),
                 {
+                    version: 2,
                     cursor: 2,
                     entries: [
                         { start: 4, oldText: '', newText: 'id' },
@@ -111,7 +115,7 @@ describe('History', function () {
             history.import({ cursor: 0, entries: [] });
             assert.deepEqual(
                 history.export(),
-                { cursor: 0, entries: [] }
+                { version: 2, cursor: 0, entries: [] }
             );
         });
 
@@ -139,7 +143,7 @@ describe('History', function () {
             });
             assert.deepEqual(
                 history.export(),
-                { cursor: 0, entries: [] }
+                { version: 2, cursor: 0, entries: [] }
             );
         });
 
@@ -157,7 +161,7 @@ describe('History', function () {
             });
             assert.deepEqual(
                 history.export(),
-                { cursor: 0, entries: [] }
+                { version: 2, cursor: 0, entries: [] }
             );
         });
 
@@ -171,7 +175,7 @@ describe('History', function () {
             });
             assert.deepEqual(
                 history.export(),
-                { cursor: 0, entries: [] }
+                { version: 2, cursor: 0, entries: [] }
             );
         });
 
@@ -185,7 +189,7 @@ describe('History', function () {
             });
             assert.deepEqual(
                 history.export(),
-                { cursor: 0, entries: [] }
+                { version: 2, cursor: 0, entries: [] }
             );
         });
 
@@ -199,7 +203,7 @@ describe('History', function () {
             });
             assert.deepEqual(
                 history.export(),
-                { cursor: 0, entries: [] }
+                { version: 2, cursor: 0, entries: [] }
             );
         });
 
@@ -213,7 +217,7 @@ describe('History', function () {
             });
             assert.deepEqual(
                 history.export(),
-                { cursor: 0, entries: [] }
+                { version: 2, cursor: 0, entries: [] }
             );
         });
 
@@ -224,7 +228,7 @@ describe('History', function () {
             });
             assert.deepEqual(
                 history.export(),
-                { cursor: 0, entries: [] }
+                { version: 2, cursor: 0, entries: [] }
             );
         });
 
@@ -238,11 +242,181 @@ describe('History', function () {
             });
             assert.deepEqual(
                 history.export(),
-                { cursor: 0, entries: [] }
+                { version: 2, cursor: 0, entries: [] }
             );
         });
     });
 
+    describe('#export(options)', function () {
+        function typeRuns() {
+            const history = new History(undefined, 0);
+            history.add({ start: 0, oldText: '', newText: 'a' });
+            history.add({ start: 1, oldText: '', newText: 'b' });
+            history.add({ start: 2, oldText: '', newText: 'c' });
+            history.add({ start: 2, oldText: 'c', newText: '' });
+            history.add({ start: 1, oldText: 'b', newText: '' });
+            return history;
+        }
+
+        it('merges runs of insertions and deletions', function () {
+            const history = typeRuns();
+            assert.deepEqual(history.export({ mergeRuns: true }), {
+                version: 2,
+                cursor: 2,
+                entries: [
+                    { start: 0, oldText: '', newText: 'abc' },
+                    { start: 1, oldText: 'bc', newText: '' },
+                ],
+            });
+        });
+
+        it('never merges undone entries into done ones', function () {
+            const target = getElement();
+            const history = typeRuns();
+            history.undo(target);
+            history.undo(target);
+            history.undo(target);
+            assert.deepEqual(history.export({ mergeRuns: true }), {
+                version: 2,
+                cursor: 1,
+                entries: [
+                    { start: 0, oldText: '', newText: 'ab' },
+                    { start: 2, oldText: '', newText: 'c' },
+                    { start: 1, oldText: 'bc', newText: '' },
+                ],
+            });
+        });
+
+        it('compressed data is imported', function () {
+            const history = typeRuns();
+            const compressed = history.export({ compress: true });
+            assert.deepEqual(
+                Object.keys(compressed),
+                ['version', 'compressed']
+            );
+
+            const imported = new History();
+            imported.import(compressed);
+            assert.deepEqual(imported.export(), history.export());
+        });
+
+        it('limits the size in bytes', function () {
+            const target = getElement();
+            const history = typeRuns();
+            history.undo(target);
+            const size = data => JSON.stringify(data).length;
+            const full = history.export();
+            const entry = size(full.entries[0]) + 1;
+
+            let limited = history.export({ maxBytes: size(full) - entry });
+            assert.equal(limited.cursor, 3);
+            assert.deepEqual(limited.entries, full.entries.slice(1));
+
+            limited = history.export({ maxBytes: size(full) - 5 * entry });
+            assert.equal(limited.cursor, 0);
+            assert.deepEqual(limited.entries, []);
+
+            limited = history.export({ maxBytes: 1 });
+            assert.deepEqual(limited, { version: 2, cursor: 0, entries: [] });
+
+            limited = history.export({ maxBytes: size(full) });
+            assert.deepEqual(limited, full);
+        });
+
+        it('reuses the last export until history changes', function () {
+            const history = typeRuns();
+            const options = { mergeRuns: true, content: 'a' };
+            const data = history.export(options);
+            assert.strictEqual(history.export(options), data);
+            assert.notStrictEqual(history.export({ content: 'a' }), data);
+            assert.notStrictEqual(
+                history.export({ mergeRuns: true, content: 'b' }),
+                data
+            );
+
+            history.add({ start: 1, oldText: '', newText: 'd' });
+            const changed = history.export(options);
+            assert.notStrictEqual(changed, data);
+            assert.deepEqual(changed.entries[2], {
+                start: 1, oldText: '', newText: 'd',
+            });
+        });
+
+        it('data of future versions is not imported', function () {
+            const history = typeRuns();
+            for (const version of [3, 'x', 0]) {
+                assert.throws(function () {
+                    history.import({ version, cursor: 0, entries: [] });
+                }, HistoryError);
+            }
+            assert.throws(function () {
+                history.import({ version: 2, compressed: 'x' });
+            }, HistoryError);
+            assert.equal(history.export().entries.length, 5);
+        });
+    });
+
+    describe('#rebase()', function () {
+        function makeHistory(content, actions) {
+            const target = getElement();
+            target.value = '';
+            const history = new History();
+            for (const action of actions) {
+                history.add(action);
+                history.apply(action, target);
+            }
+            assert.equal(target.value, content);
+            const data = history.export({ content });
+            const imported = new History();
+            imported.import(data);
+            return { target, history: imported };
+        }
+
+        it('code is compared with the exported fingerprint', function () {
+            const { history } = makeHistory('a', [
+                { start: 0, oldText: '', newText: 'a' },
+            ]);
+            assert.ok(history.matches('a'));
+            assert.ok(!history.matches('b'));
+            assert.ok(new History().matches('b'));
+        });
+
+        it('entries are moved by the changed lines', function () {
+            const { target, history } = makeHistory('a\nb\nc', [
+                { start: 0, oldText: '', newText: 'a\nb\n' },
+                {
+                    start: 4,
+                    oldText: '',
+                    newText: 'c',
+                    selectionBefore: { start: 4, end: 4 },
+                    selectionAfter: { start: 5, end: 5 },
+                },
+            ]);
+            target.value = 'a\nxyz\nc';
+            assert.equal(history.rebase(target.value), true);
+            assert.ok(history.matches(target.value));
+            history.undo(target);
+            assert.equal(target.value, 'a\nxyz\n');
+            assert.equal(target.selectionStart, 6);
+            history.undo(target);
+            assert.equal(target.value, 'a\nxyz\n');
+        });
+
+        it('entries touching the changed lines are forgotten', function () {
+            const { target, history } = makeHistory('a\nb\nc', [
+                { start: 0, oldText: '', newText: 'a\n\nc' },
+                { start: 2, oldText: '', newText: 'b' },
+                { start: 0, oldText: 'a', newText: 'a' },
+            ]);
+            target.value = 'a\nd\nc';
+            history.rebase(target.value);
+            assert.equal(history.export().entries.length, 1);
+            history.undo(target);
+            history.undo(target);
+            assert.equal(target.value, 'a\nd\nc');
+        });
+    });
+
     describe('#add()', function () {
         it('limit cuts the start', function () {
             const target = getElement();
@@ -357,4 +531,424 @@ describe('History', function () {
             assert.equal(target.value, 'let id = \\x.x in id id');
         });
     });
+
+    describe('#switchBranch()', function () {
+        function makeBranches() {
+            const target = getElement();
+            target.value = '';
+            const history = new History();
+            const edit = action => {
+                history.add(action);
+                history.apply(action, target);
+            };
+            edit({ start: 0, oldText: '', newText: 'let x' });
+            edit({ start: 5, oldText: '', newText: ' = 1' });
+            history.undo(target);
+            history.undo(target);
+            edit({ start: 0, oldText: '', newText: 'y' });
+            return { target, history };
+        }
+
+        it('undone actions are kept in another branch', function () {
+            const { target, history } = makeBranches();
+            assert.deepEqual(history.branch, { index: 1, count: 2 });
+            history.switchBranch(-1, target);
+            assert.equal(target.value, 'let x');
+            assert.deepEqual(history.branch, { index: 0, count: 2 });
+            history.redo(target);
+            assert.equal(target.value, 'let x = 1');
+
+            history.undo(target);
+            history.switchBranch(3, target);
+            assert.equal(target.value, 'y');
+            history.undo(target);
+            history.redo(target);
+            assert.equal(target.value, 'y');
+        });
+
+        it('switching without other branches does nothing', function () {
+            const target = getElement();
+            const history = new History();
+            assert.equal(history.switchBranch(1, target), undefined);
+            history.add({ start: 4, oldText: '', newText: 'id' });
+            assert.equal(history.switchBranch(1, target), undefined);
+            assert.equal(target.value, 'let id = \\x.x in id id');
+        });
+
+        it('branches are exported and imported', function () {
+            const { target, history } = makeBranches();
+            const data = {
+                version: 2,
+                cursor: 1,
+                entries: [
+                    {
+                        start: 0,
+                        oldText: '',
+                        newText: 'y',
+                        branches: [[
+                            { start: 0, oldText: '', newText: 'let x' },
+                            { start: 5, oldText: '', newText: ' = 1' },
+                        ]],
+                    },
+                ],
+            };
+            assert.deepEqual(history.export(), data);
+
+            const imported = new History();
+            imported.import(data);
+            assert.deepEqual(imported.export(), data);
+            imported.switchBranch(1, target);
+            imported.redo(target);
+            assert.equal(target.value, 'let x = 1');
+        });
+
+        it('invalid branches are not imported', function () {
+            const history = new History();
+            const entry = { start: 0, oldText: '', newText: 'y' };
+            for (const branches of ['a', [[]], [[{ start: 0 }]]]) {
+                assert.throws(() => history.import({
+                    cursor: 0,
+                    entries: [Object.assign({ branches }, entry)],
+                }), HistoryError);
+            }
+            assert.deepEqual(
+                history.export(),
+                { version: 2, cursor: 0, entries: [] }
+            );
+        });
+
+        it('limit forgets branches before the oldest action', function () {
+            const { history } = makeBranches();
+            history.limit = 2;
+            history.add({ start: 1, oldText: '', newText: 'z' });
+            history.add({ start: 2, oldText: '', newText: 'w' });
+            assert.deepEqual(history.export(), {
+                version: 2,
+                cursor: 2,
+                entries: [
+                    { start: 1, oldText: '', newText: 'z' },
+                    { start: 2, oldText: '', newText: 'w' },
+                ],
+            });
+        });
+    });
+
+    describe('#add(merge)', function () {
+        it('typed characters are merged', function () {
+            const history = new History();
+            history.add({ start: 4, oldText: '', newText: 'f' }, true);
+            history.add({ start: 5, oldText: '', newText: 'o' }, true);
+            history.add({ start: 6, oldText: '', newText: 'o' }, true);
+            assert.deepEqual(
+                history.export(),
+                {
+                    version: 2,
+                    cursor: 1,
+                    entries: [{ start: 4, oldText: '', newText: 'foo' }],
+                }
+            );
+        });
+
+        it('typing over a selection merges following characters', function () {
+            const history = new History();
+            history.add({ start: 4, oldText: 'id', newText: 'f' }, true);
+            history.add({ start: 5, oldText: '', newText: 'g' }, true);
+            assert.deepEqual(
+                history.export(),
+                {
+                    version: 2,
+                    cursor: 1,
+                    entries: [{ start: 4, oldText: 'id', newText: 'fg' }],
+                }
+            );
+        });
+
+        it('a new word starts a new entry', function () {
+            const history = new History();
+            history.add({ start: 0, oldText: '', newText: 'a' }, true);
+            history.add({ start: 1, oldText: '', newText: ' ' }, true);
+            history.add({ start: 2, oldText: '', newText: 'b' }, true);
+            assert.deepEqual(
+                history.export(),
+                {
+                    version: 2,
+                    cursor: 2,
+                    entries: [
+                        { start: 0, oldText: '', newText: 'a ' },
+                        { start: 2, oldText: '', newText: 'b' },
+                    ],
+                }
+            );
+        });
+
+        it('backspaces and deletes are merged', function () {
+            const target = getElement();
+            const history = new History();
+            history.add({ start: 5, oldText: 'd', newText: '' }, true);
+            history.add({ start: 4, oldText: 'i', newText: '' }, true);
+            history.add({ start: 4, oldText: ' ', newText: '' }, true);
+            assert.deepEqual(
+                history.export(),
+                {
+                    version: 2,
+                    cursor: 1,
+                    entries: [{ start: 4, oldText: 'id ', newText: '' }],
+                }
+            );
+            target.value = 'let = \\x.x in id id';
+            history.undo(target);
+            assert.equal(target.value, 'let id = \\x.x in id id');
+        });
+
+        it('insertions and deletions are not merged', function () {
+            const history = new History();
+            history.add({ start: 0, oldText: '', newText: 'a' }, true);
+            history.add({ start: 0, oldText: 'a', newText: '' }, true);
+            assert.equal(history.export().entries.length, 2);
+        });
+
+        it('pasted text is not merged', function () {
+            const history = new History();
+            history.add({ start: 0, oldText: '', newText: 'a' }, true);
+            history.add({ start: 1, oldText: '', newText: 'bc' }, true);
+            assert.equal(history.export().entries.length, 2);
+        });
+
+        it('actions not typed are not merged', function () {
+            const history = new History();
+            history.add({ start: 0, oldText: '', newText: 'a' }, true);
+            history.add({ start: 1, oldText: '', newText: 'b' });
+            history.add({ start: 2, oldText: '', newText: 'c' }, true);
+            assert.equal(history.export().entries.length, 3);
+        });
+
+        it('undo stops merging', function () {
+            const target = getElement();
+            const history = new History();
+            history.add({ start: 0, oldText: '', newText: 'a' }, true);
+            history.add({ start: 1, oldText: '', newText: 'b' }, true);
+            history.undo(target);
+            history.redo(target);
+            history.add({ start: 2, oldText: '', newText: 'c' }, true);
+            assert.equal(history.export().entries.length, 2);
+        });
+
+        it('zero timeout disables merging', function () {
+            const history = new History(undefined, 0);
+            history.add({ start: 0, oldText: '', newText: 'a' }, true);
+            history.add({ start: 1, oldText: '', newText: 'b' }, true);
+            assert.equal(history.export().entries.length, 2);
+        });
+
+        it('idle time stops merging', function (done) {
+            const history = new History(undefined, 10);
+            history.add({ start: 0, oldText: '', newText: 'a' }, true);
+            setTimeout(() => {
+                history.add({ start: 1, oldText: '', newText: 'b' }, true);
+                assert.equal(history.export().entries.length, 2);
+                done();
+            }, 20);
+        });
+    });
+
+    describe('#beginGroup()', function () {
+        it('grouped actions are undone and redone together', function () {
+            const target = getElement();
+            const history = new History();
+            history.beginGroup();
+            history.add({ start: 4, oldText: 'id', newText: 'f' });
+            history.add({ start: 16, oldText: 'id', newText: 'f' });
+            history.endGroup();
+            target.value = 'let f = \\x.x in f id';
+            history.undo(target);
+            assert.equal(target.value, 'let id = \\x.x in id id');
+            history.redo(target);
+            assert.equal(target.value, 'let f = \\x.x in f id');
+        });
+
+        it('nested groups form a single entry', function () {
+            const history = new History();
+            history.beginGroup();
+            history.add({ start: 0, oldText: '', newText: 'a' });
+            history.beginGroup();
+            history.add({ start: 1, oldText: '', newText: 'b' });
+            history.endGroup();
+            history.add({ start: 2, oldText: '', newText: 'c' });
+            history.endGroup();
+            assert.equal(history.export().entries.length, 1);
+        });
+
+        it('a group of one action is a regular entry', function () {
+            const history = new History();
+            history.beginGroup();
+            history.add({ start: 0, oldText: '', newText: 'a' });
+            history.endGroup();
+            assert.deepEqual(
+                history.export(),
+                {
+                    version: 2,
+                    cursor: 1,
+                    entries: [{ start: 0, oldText: '', newText: 'a' }],
+                }
+            );
+        });
+
+        it('groups are exported and imported', function () {
+            const history = new History();
+            history.beginGroup();
+            history.add({ start: 0, oldText: '', newText: 'a' });
+            history.add({ start: 1, oldText: '', newText: 'b' });
+            history.endGroup();
+            const exported = {
+                version: 2,
+                cursor: 1,
+                entries: [
+                    {
+                        actions: [
+                            { start: 0, oldText: '', newText: 'a' },
+                            { start: 1, oldText: '', newText: 'b' },
+                        ],
+                    },
+                ],
+            };
+            assert.deepEqual(history.export(), exported);
+
+            const imported = new History();
+            imported.import(exported);
+            assert.deepEqual(imported.export(), exported);
+        });
+
+        it('invalid group is not imported', function () {
+            const history = new History();
+            assert.throws(function () {
+                history.import({ cursor: 1, entries: [{ actions: [] }] });
+            });
+            assert.throws(function () {
+                history.import({ cursor: 1, entries: [{ actions: ['a'] }] });
+            });
+            assert.deepEqual(
+                history.export(),
+                { version: 2, cursor: 0, entries: [] }
+            );
+        });
+    });
+
+    describe('#diff()', function () {
+        it('finds the changed region', function () {
+            assert.deepEqual(
+                History.diff('let id = x', 'let f = x'),
+                { start: 4, oldText: 'id', newText: 'f' },
+            );
+        });
+
+        it('respects the maximum start', function () {
+            assert.deepEqual(
+                History.diff('aa', 'aaa', 1),
+                { start: 1, oldText: '', newText: 'a' },
+            );
+        });
+    });
+
+    describe('#explains()', function () {
+        it('tells whether an action turns a text into another', function () {
+            const action = { start: 4, oldText: 'id', newText: 'f' };
+            assert.ok(History.explains(action, 'let id = x', 'let f = x'));
+            assert.ok(!History.explains(action, 'let ix = x', 'let f = x'));
+            assert.ok(!History.explains(action, 'let id = x', 'let f = y'));
+            assert.ok(!History.explains(undefined, 'a', 'b'));
+        });
+
+        it('rejects actions past the end of the text', function () {
+            const action = { start: 2, oldText: '', newText: 'ab' };
+            assert.ok(!History.explains(action, 'a', 'aab'));
+        });
+    });
+
+    describe('#selections', function () {
+        it('undo and redo restore recorded selections', function () {
+            const target = getElement();
+            const history = new History();
+            history.add({
+                start: 4,
+                oldText: 'id',
+                newText: 'f',
+                selectionBefore: { start: 4, end: 6 },
+                selectionAfter: { start: 5, end: 5 },
+            });
+            target.value = 'let f = \\x.x in id id';
+            history.undo(target);
+            assert.equal(target.selectionStart, 4);
+            assert.equal(target.selectionEnd, 6);
+            history.redo(target);
+            assert.equal(target.selectionStart, 5);
+            assert.equal(target.selectionEnd, 5);
+        });
+
+        it('merged entries keep the outer selections', function () {
+            const history = new History();
+            history.add({
+                start: 0,
+                oldText: 'ab',
+                newText: 'c',
+                selectionBefore: { start: 0, end: 2 },
+                selectionAfter: { start: 1, end: 1 },
+            }, true);
+            history.add({
+                start: 1,
+                oldText: '',
+                newText: 'd',
+                selectionBefore: { start: 1, end: 1 },
+                selectionAfter: { start: 2, end: 2 },
+            }, true);
+            assert.deepEqual(history.export().entries, [
+                {
+                    start: 0,
+                    oldText: 'ab',
+                    newText: 'cd',
+                    selectionBefore: { start: 0, end: 2 },
+                    selectionAfter: { start: 2, end: 2 },
+                },
+            ]);
+        });
+
+        it('selections are imported, and may be absent', function () {
+            const history = new History();
+            const data = {
+                version: 2,
+                cursor: 2,
+                entries: [
+                    { start: 4, oldText: '', newText: 'id' },
+                    {
+                        start: 13,
+                        oldText: ';',
+                        newText: '',
+                        selectionBefore: { start: 13, end: 14 },
+                    },
+                ],
+            };
+            history.import(data);
+            assert.deepEqual(history.export(), data);
+        });
+
+        it('invalid selection is not imported', function () {
+            const history = new History();
+            assert.throws(function () {
+                history.import({
+                    cursor: 1,
+                    entries: [
+                        {
+                            start: 4,
+                            oldText: '',
+                            newText: 'id',
+                            selectionAfter: { start: '6', end: 6 },
+                        },
+                    ],
+                });
+            });
+            assert.deepEqual(
+                history.export(),
+                { version: 2, cursor: 0, entries: [] }
+            );
+        });
+    });
 });
@@ -0,0 +1,119 @@
+import * as assert from 'assert';
+import { Keymap, KeymapError } from '../keymap.js';
+
+describe('Keymap', function () {
+    function key(key, code, modifiers) {
+        return Object.assign(
+            {
+                key,
+                code,
+                ctrlKey: false,
+                altKey: false,
+                shiftKey: false,
+                metaKey: false,
+            },
+            modifiers || {}
+        );
+    }
+
+    describe('#resolve()', function () {
+        it('resolves bindings', function () {
+            const keymap = new Keymap({ '(': 'parens' }, false);
+            assert.deepEqual(
+                keymap.resolve(key('z', 'KeyZ', { ctrlKey: true })),
+                { command: 'undo', consumed: true }
+            );
+            assert.deepEqual(
+                keymap.resolve(key('Z', 'KeyZ', {
+                    ctrlKey: true,
+                    shiftKey: true,
+                })),
+                { command: 'redo', consumed: true }
+            );
+            assert.deepEqual(
+                keymap.resolve(key('(', 'Digit9', { shiftKey: true })),
+                { command: 'parens', consumed: true }
+            );
+            assert.deepEqual(
+                keymap.resolve(key('a', 'KeyA')),
+                { command: undefined, consumed: false }
+            );
+        });
+
+        it('maps Mod to Cmd on macOS', function () {
+            const keymap = new Keymap({}, true);
+            assert.equal(
+                keymap.resolve(key('z', 'KeyZ', { metaKey: true })).command,
+                'undo'
+            );
+            assert.equal(
+                keymap.resolve(key('z', 'KeyZ', { ctrlKey: true })).command,
+                undefined
+            );
+        });
+
+        it('rebinds and unbinds chords', function () {
+            const keymap = new Keymap(
+                { 'Mod+Z': null, 'alt+shift+a': 'comment' },
+                false
+            );
+            assert.equal(
+                keymap.resolve(key('z', 'KeyZ', { ctrlKey: true })).command,
+                undefined
+            );
+            assert.equal(
+                keymap.resolve(key('A', 'KeyA', {
+                    altKey: true,
+                    shiftKey: true,
+                })).command,
+                'comment'
+            );
+        });
+
+        it('resolves chords with multiple strokes', function () {
+            const keymap = new Keymap({ 'Ctrl+K Ctrl+C': 'comment' }, false);
+            assert.deepEqual(
+                keymap.resolve(key('k', 'KeyK', { ctrlKey: true })),
+                { command: undefined, consumed: true }
+            );
+            assert.deepEqual(
+                keymap.resolve(key('Control', 'ControlLeft', {
+                    ctrlKey: true,
+                })),
+                { command: undefined, consumed: true }
+            );
+            assert.deepEqual(
+                keymap.resolve(key('c', 'KeyC', { ctrlKey: true })),
+                { command: 'comment', consumed: true }
+            );
+
+            keymap.resolve(key('k', 'KeyK', { ctrlKey: true }));
+            assert.deepEqual(
+                keymap.resolve(key('x', 'KeyX')),
+                { command: undefined, consumed: true }
+            );
+            assert.deepEqual(
+                keymap.resolve(key('x', 'KeyX')),
+                { command: undefined, consumed: false }
+            );
+        });
+
+        it('resolves keys by their physical position too', function () {
+            const keymap = new Keymap({ 'Ctrl+Shift+\\': 'jump' }, false);
+            assert.equal(
+                keymap.resolve(key('|', 'Backslash', {
+                    ctrlKey: true,
+                    shiftKey: true,
+                })).command,
+                'jump'
+            );
+        });
+
+        it('rejects unknown modifiers', function () {
+            assert.throws(
+                () => new Keymap({ 'Hyper+A': 'a' }, false),
+                KeymapError
+            );
+        });
+    });
+});
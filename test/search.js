@@ -0,0 +1,60 @@
+import * as assert from 'assert';
+import { Search } from '../search.js';
+
+describe('Search', function () {
+    function positions(matches) {
+        return matches.map(match => [match.start, match.end]);
+    }
+
+    describe('#matches()', function () {
+        it('finds plain text ignoring case', function () {
+            const search = new Search('a.');
+            assert.deepEqual(
+                positions(search.matches('a.b A. ab')),
+                [[0, 2], [4, 6]]
+            );
+        });
+
+        it('finds plain text matching case', function () {
+            const search = new Search('If', { caseSensitive: true });
+            assert.deepEqual(positions(search.matches('if If iF')), [[3, 5]]);
+        });
+
+        it('finds whole words only', function () {
+            const search = new Search('if', { wholeWord: true });
+            assert.deepEqual(
+                positions(search.matches('if iff elif (if)')),
+                [[0, 2], [13, 15]]
+            );
+        });
+
+        it('finds regex matches, skipping empty ones', function () {
+            const search = new Search('x*', { regex: true });
+            assert.deepEqual(
+                positions(search.matches('axxbx')),
+                [[1, 3], [4, 5]]
+            );
+        });
+
+        it('rejects invalid regexes', function () {
+            assert.throws(() => new Search('(', { regex: true }), SyntaxError);
+        });
+    });
+
+    describe('#replacementOf()', function () {
+        it('keeps plain replacements literal', function () {
+            const search = new Search('a');
+            const match = search.matches('a')[0];
+            assert.equal(search.replacementOf(match, '$&$1'), '$&$1');
+        });
+
+        it('expands regex patterns', function () {
+            const search = new Search('(\\w+)=(?<value>\\d)', { regex: true });
+            const match = search.matches('x=1')[0];
+            assert.equal(
+                search.replacementOf(match, '$2 $<value> $1 $& $$ $3'),
+                '1 1 x x=1 $ $3'
+            );
+        });
+    });
+});
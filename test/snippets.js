@@ -0,0 +1,41 @@
+import * as assert from 'assert';
+import { parseSnippet } from '../snippets.js';
+
+describe('parseSnippet()', function () {
+    it('finds tab stops in order, the final stop last', function () {
+        assert.deepEqual(parseSnippet('f($2, $1)$0;'), {
+            text: 'f(, );',
+            stops: [
+                { index: 1, ranges: [{ start: 4, end: 4 }] },
+                { index: 2, ranges: [{ start: 2, end: 2 }] },
+                { index: 0, ranges: [{ start: 5, end: 5 }] },
+            ],
+        });
+    });
+
+    it('adds a final stop at the end if missing', function () {
+        assert.deepEqual(parseSnippet('end').stops, [
+            { index: 0, ranges: [{ start: 3, end: 3 }] },
+        ]);
+    });
+
+    it('inserts default text in every mirror', function () {
+        assert.deepEqual(parseSnippet('macro ${1:name}: $1 ${2}'), {
+            text: 'macro name: name ',
+            stops: [
+                {
+                    index: 1,
+                    ranges: [{ start: 6, end: 10 }, { start: 12, end: 16 }],
+                },
+                { index: 2, ranges: [{ start: 17, end: 17 }] },
+                { index: 0, ranges: [{ start: 17, end: 17 }] },
+            ],
+        });
+    });
+
+    it('writes escaped characters literally', function () {
+        const parsed = parseSnippet('\\$1 ${1:a\\}b} \\\\');
+        assert.equal(parsed.text, '$1 a}b \\');
+        assert.deepEqual(parsed.stops[0].ranges, [{ start: 3, end: 6 }]);
+    });
+});
@@ -0,0 +1,85 @@
+import * as assert from 'assert';
+import { JSDOM } from 'jsdom';
+import { settle, MemoryStorage, LocalStorage } from '../storage.js';
+
+describe('Storage', function () {
+    describe('settle()', function () {
+        it('handles values synchronously', function () {
+            const result = settle(() => 2, value => value * 3);
+            assert.equal(result, 6);
+        });
+
+        it('handles Promises once they resolve', async function () {
+            const result = settle(() => Promise.resolve(2), value => value * 3);
+            assert.ok(result instanceof Promise);
+            assert.equal(await result, 6);
+        });
+
+        it('handles thrown and rejected errors', async function () {
+            const fail = () => {
+                throw new SyntaxError('bad');
+            };
+            const onError = error => error.message;
+            assert.equal(settle(fail, () => 'ok', onError), 'bad');
+            assert.equal(
+                await settle(
+                    () => Promise.reject(new SyntaxError('worse')),
+                    () => 'ok',
+                    onError
+                ),
+                'worse'
+            );
+            assert.throws(() => settle(fail, () => 'ok'), SyntaxError);
+        });
+    });
+
+    describe('MemoryStorage', function () {
+        it('loads saved values', function () {
+            const storage = new MemoryStorage();
+            assert.equal(storage.load('code'), undefined);
+            storage.save('code', 'if a then b');
+            assert.equal(storage.load('code'), 'if a then b');
+        });
+
+        it('keeps documents apart', function () {
+            const storage = new MemoryStorage();
+            storage.save('code', 'main');
+            storage.save('code', 'macros', 'lib');
+            assert.equal(storage.load('code'), 'main');
+            assert.equal(storage.load('code', ''), 'main');
+            assert.equal(storage.load('code', 'lib'), 'macros');
+        });
+    });
+
+    describe('LocalStorage', function () {
+        function makeWebStorage() {
+            const dom = new JSDOM('<!DOCTYPE html>', {
+                url: 'http://localhost/',
+            });
+            return dom.window.localStorage;
+        }
+
+        it('saves values as JSON under prefixed keys', function () {
+            const webStorage = makeWebStorage();
+            const storage = new LocalStorage('test:', webStorage);
+            assert.equal(storage.load('history'), undefined);
+
+            storage.save('history', { cursor: 0, entries: [] });
+            assert.equal(
+                webStorage.getItem('test:history'),
+                '{"cursor":0,"entries":[]}'
+            );
+            assert.deepEqual(
+                storage.load('history'),
+                { cursor: 0, entries: [] }
+            );
+        });
+
+        it('rejects invalid JSON', function () {
+            const webStorage = makeWebStorage();
+            webStorage.setItem('pinguim-editor:code', '{');
+            const storage = new LocalStorage(undefined, webStorage);
+            assert.throws(() => storage.load('code'), SyntaxError);
+        });
+    });
+});